@@ -1,10 +1,37 @@
-const puppeteer = require("puppeteer");
-const cron = require("node-cron");
+const crypto = require("crypto");
 const fs = require("fs-extra");
 const path = require("path");
-
-const dataPath = path.join(__dirname, "history.json");
-const sourceUrl = process.env.KQXS_URL || "https://link-quay-thu.com";
+const historyDb = require("./historyDb");
+const historyTransfer = require("./historyTransfer");
+const sourceAdapters = require("./sourceAdapters");
+const crawlPage = require("./crawlPage");
+const crawlLog = require("./crawlLog");
+const resultTable = require("./resultTable");
+const folderWatch = require("./folderWatch");
+
+const legacyDataPath = path.join(__dirname, "history.json");
+const LEGACY_IMPORT_META_KEY = "legacy_json_imported";
+const DATA_VERSION_META_KEY = "data_version";
+const BACKFILL_META_KEY = "backfill_job";
+const SCHEDULER_META_KEY = "scheduler_enabled";
+const STATS_VERIFIED_META_KEY = "stats_verified_only";
+const WATCH_FOLDERS_META_KEY = "watch_folders";
+const CLIPBOARD_WATCH_META_KEY = "clipboard_watch_enabled";
+const CLIPBOARD_MIN_CONFIDENCE = 0.8;
+// Minutes after a region's draw time: first crawl, retry spacing while the
+// result is incomplete, and when to give up on that day.
+const SCHEDULE_FIRST_DELAY_MINUTES = 30;
+const SCHEDULE_RETRY_MINUTES = 5;
+const SCHEDULE_GIVE_UP_MINUTES = 180;
+const LIVE_WINDOW_MINUTES = 45;
+const LIVE_MIN_INTERVAL_MS = 5000;
+const UNKNOWN_STATION = "Chưa rõ đài";
+const REGION_CONFIG = {
+  MN: { name: "Miền Nam", drawTime: "16:15" },
+  MT: { name: "Miền Trung", drawTime: "17:15" },
+  MB: { name: "Miền Bắc", drawTime: "18:15" }
+};
+const WEEKDAY_LABELS = ["Chủ nhật", "Thứ 2", "Thứ 3", "Thứ 4", "Thứ 5", "Thứ 6", "Thứ 7"];
 const PRIZE_CONFIG = [
   {
     key: "gdb",
@@ -20,35 +47,136 @@ const PRIZE_CONFIG = [
   { key: "g7", label: "G7", aliases: ["g7", "giai 7", "giai bay"] },
   { key: "g8", label: "G8", aliases: ["g8", "giai 8", "giai tam"] }
 ];
+// Per-station prize layout: how many numbers each prize has and their length.
+const SOUTHERN_PRIZE_TEMPLATE = [
+  { key: "g8", count: 1, digits: 2 },
+  { key: "g7", count: 1, digits: 3 },
+  { key: "g6", count: 3, digits: 4 },
+  { key: "g5", count: 1, digits: 4 },
+  { key: "g4", count: 7, digits: 5 },
+  { key: "g3", count: 2, digits: 5 },
+  { key: "g2", count: 1, digits: 5 },
+  { key: "g1", count: 1, digits: 5 },
+  { key: "gdb", count: 1, digits: 6 }
+];
+const PRIZE_TEMPLATES = {
+  MN: SOUTHERN_PRIZE_TEMPLATE,
+  MT: SOUTHERN_PRIZE_TEMPLATE,
+  MB: [
+    { key: "gdb", count: 1, digits: 5 },
+    { key: "g1", count: 1, digits: 5 },
+    { key: "g2", count: 2, digits: 5 },
+    { key: "g3", count: 6, digits: 5 },
+    { key: "g4", count: 4, digits: 4 },
+    { key: "g5", count: 6, digits: 4 },
+    { key: "g6", count: 3, digits: 3 },
+    { key: "g7", count: 4, digits: 2 }
+  ]
+};
+// days: weekdays the station draws on (0 = Chủ nhật), per the official schedule.
 const STATION_CATALOG = [
-  { name: "An Giang", aliases: ["an giang"] },
-  { name: "Bạc Liêu", aliases: ["bac lieu"] },
-  { name: "Bến Tre", aliases: ["ben tre"] },
-  { name: "Bình Dương", aliases: ["binh duong"] },
-  { name: "Bình Phước", aliases: ["binh phuoc"] },
-  { name: "Bình Thuận", aliases: ["binh thuan"] },
-  { name: "Cà Mau", aliases: ["ca mau"] },
-  { name: "Cần Thơ", aliases: ["can tho"] },
-  { name: "Đà Lạt", aliases: ["da lat"] },
-  { name: "Đồng Nai", aliases: ["dong nai"] },
-  { name: "Đồng Tháp", aliases: ["dong thap"] },
-  { name: "Hậu Giang", aliases: ["hau giang"] },
-  { name: "Kiên Giang", aliases: ["kien giang"] },
-  { name: "Long An", aliases: ["long an"] },
-  { name: "Sóc Trăng", aliases: ["soc trang"] },
-  { name: "Tây Ninh", aliases: ["tay ninh"] },
-  { name: "Tiền Giang", aliases: ["tien giang"] },
-  { name: "TP HCM", aliases: ["tp hcm", "tphcm", "tp ho chi minh", "ho chi minh"] },
-  { name: "Trà Vinh", aliases: ["tra vinh"] },
-  { name: "Vĩnh Long", aliases: ["vinh long"] },
+  { name: "An Giang", region: "MN", days: [4], aliases: ["an giang"] },
+  { name: "Bạc Liêu", region: "MN", days: [2], aliases: ["bac lieu"] },
+  { name: "Bến Tre", region: "MN", days: [2], aliases: ["ben tre"] },
+  { name: "Bình Dương", region: "MN", days: [5], aliases: ["binh duong"] },
+  { name: "Bình Phước", region: "MN", days: [6], aliases: ["binh phuoc"] },
+  { name: "Bình Thuận", region: "MN", days: [4], aliases: ["binh thuan"] },
+  { name: "Cà Mau", region: "MN", days: [1], aliases: ["ca mau"] },
+  { name: "Cần Thơ", region: "MN", days: [3], aliases: ["can tho"] },
+  { name: "Đà Lạt", region: "MN", days: [0], aliases: ["da lat", "lam dong"] },
+  { name: "Đồng Nai", region: "MN", days: [3], aliases: ["dong nai"] },
+  { name: "Đồng Tháp", region: "MN", days: [1], aliases: ["dong thap"] },
+  { name: "Hậu Giang", region: "MN", days: [6], aliases: ["hau giang"] },
+  { name: "Kiên Giang", region: "MN", days: [0], aliases: ["kien giang"] },
+  { name: "Long An", region: "MN", days: [6], aliases: ["long an"] },
+  { name: "Sóc Trăng", region: "MN", days: [3], aliases: ["soc trang"] },
+  { name: "Tây Ninh", region: "MN", days: [4], aliases: ["tay ninh"] },
+  { name: "Tiền Giang", region: "MN", days: [0], aliases: ["tien giang"] },
+  {
+    name: "TP HCM",
+    region: "MN",
+    days: [1, 6],
+    aliases: ["tp hcm", "tphcm", "tp ho chi minh", "ho chi minh"]
+  },
+  { name: "Trà Vinh", region: "MN", days: [5], aliases: ["tra vinh"] },
+  { name: "Vĩnh Long", region: "MN", days: [5], aliases: ["vinh long"] },
   {
     name: "Vũng Tàu",
+    region: "MN",
+    days: [2],
     aliases: ["vung tau", "ba ria vung tau", "ba ria - vung tau", "brvt"]
-  }
+  },
+  { name: "Bình Định", region: "MT", days: [4], aliases: ["binh dinh"] },
+  { name: "Đà Nẵng", region: "MT", days: [3, 6], aliases: ["da nang"] },
+  { name: "Đắk Lắk", region: "MT", days: [2], aliases: ["dak lak", "daklak", "dac lac"] },
+  { name: "Đắk Nông", region: "MT", days: [6], aliases: ["dak nong", "daknong", "dac nong"] },
+  { name: "Gia Lai", region: "MT", days: [5], aliases: ["gia lai"] },
+  { name: "Khánh Hòa", region: "MT", days: [0, 3], aliases: ["khanh hoa"] },
+  { name: "Kon Tum", region: "MT", days: [0], aliases: ["kon tum", "kontum"] },
+  { name: "Ninh Thuận", region: "MT", days: [5], aliases: ["ninh thuan"] },
+  { name: "Phú Yên", region: "MT", days: [1], aliases: ["phu yen"] },
+  { name: "Quảng Bình", region: "MT", days: [4], aliases: ["quang binh"] },
+  { name: "Quảng Nam", region: "MT", days: [2], aliases: ["quang nam"] },
+  { name: "Quảng Ngãi", region: "MT", days: [6], aliases: ["quang ngai"] },
+  { name: "Quảng Trị", region: "MT", days: [4], aliases: ["quang tri"] },
+  {
+    name: "Thừa Thiên Huế",
+    region: "MT",
+    days: [0, 1],
+    aliases: ["thua thien hue", "tt hue", "hue"]
+  },
+  { name: "Hà Nội", region: "MB", days: [1, 4], aliases: ["ha noi", "thu do"] },
+  { name: "Quảng Ninh", region: "MB", days: [2], aliases: ["quang ninh"] },
+  { name: "Bắc Ninh", region: "MB", days: [3], aliases: ["bac ninh"] },
+  { name: "Hải Phòng", region: "MB", days: [5], aliases: ["hai phong"] },
+  { name: "Nam Định", region: "MB", days: [6], aliases: ["nam dinh"] },
+  { name: "Thái Bình", region: "MB", days: [0], aliases: ["thai binh"] }
+];
+// Vietlott games in detection order: "Max 3D Pro" must be tried before "Max 3D".
+const VIETLOTT_DRAW_TIME = "18:00";
+const VIETLOTT_GAMES = {
+  mega645: {
+    name: "Mega 6/45",
+    type: "lotto",
+    pick: 6,
+    max: 45,
+    bonus: false,
+    days: [0, 3, 5],
+    aliases: ["mega 6 45", "mega645", "mega"]
+  },
+  power655: {
+    name: "Power 6/55",
+    type: "lotto",
+    pick: 6,
+    max: 55,
+    bonus: true,
+    days: [2, 4, 6],
+    aliases: ["power 6 55", "power655", "power"]
+  },
+  max3dpro: {
+    name: "Max 3D Pro",
+    type: "3d",
+    days: [2, 4, 6],
+    aliases: ["max 3d pro", "max3d pro", "max 3dpro", "max3dpro"]
+  },
+  max3d: { name: "Max 3D", type: "3d", days: [1, 3, 5], aliases: ["max 3d", "max3d"] }
+};
+const VIETLOTT_LOTTO_LABELS = { main: "Bộ số", bonus: "Số đặc biệt" };
+const MAX3D_PRIZES = [
+  { key: "gdb", label: "Đặc biệt", count: 2, aliases: ["giai dac biet", "dac biet", "db"] },
+  { key: "g1", label: "Giải Nhất", count: 4, aliases: ["giai nhat", "nhat"] },
+  { key: "g2", label: "Giải Nhì", count: 6, aliases: ["giai nhi", "nhi"] },
+  { key: "g3", label: "Giải Ba", count: 8, aliases: ["giai ba"] }
 ];
 
+
 let isCrawling = false;
-let cronTask = null;
+let scheduler = null;
+let storeReady = null;
+let writeQueue = Promise.resolve();
+let backfillRun = null;
+const liveSessions = new Map();
+let hotFolders = null;
 
 function sleep(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
@@ -115,10 +243,10 @@ function detectStations(rawText, stationHint) {
 
 function normalizeStationName(name) {
   const value = cleanWhitespace(name);
-  if (!value) return "Chưa rõ đài";
+  if (!value) return UNKNOWN_STATION;
   const normalized = normalizeVietnamese(value);
   if (normalized === "thu cong" || normalized === "khong ro dai") {
-    return "Chưa rõ đài";
+    return UNKNOWN_STATION;
   }
   if (normalized === "mien nam") return "Miền Nam";
   if (normalized === "mien trung") return "Miền Trung";
@@ -230,13 +358,194 @@ function parseStation(rawText, stationHint) {
     return normalizeStationName(fromHint);
   }
 
-  return "Chưa rõ đài";
+  return UNKNOWN_STATION;
+}
+
+function padDatePart(value) {
+  return String(value).padStart(2, "0");
+}
+
+function toValidIsoDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (
+    date.getUTCFullYear() !== year ||
+    date.getUTCMonth() !== month - 1 ||
+    date.getUTCDate() !== day
+  ) {
+    return "";
+  }
+  return `${year}-${padDatePart(month)}-${padDatePart(day)}`;
+}
+
+function toLocalIsoDate(value) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return "";
+  return `${date.getFullYear()}-${padDatePart(date.getMonth() + 1)}-${padDatePart(date.getDate())}`;
+}
+
+function normalizeDrawDate(value) {
+  const raw = String(value || "");
+
+  const isoMatch = raw.match(/\b(\d{4})-(\d{1,2})-(\d{1,2})\b/);
+  if (isoMatch) {
+    return toValidIsoDate(Number(isoMatch[1]), Number(isoMatch[2]), Number(isoMatch[3]));
+  }
+
+  const dmyMatch = raw.match(/\b(\d{1,2})([\/\-.])(\d{1,2})\2(\d{4}|\d{2})\b/);
+  if (dmyMatch) {
+    const year = dmyMatch[4].length === 2 ? 2000 + Number(dmyMatch[4]) : Number(dmyMatch[4]);
+    return toValidIsoDate(year, Number(dmyMatch[3]), Number(dmyMatch[1]));
+  }
+
+  const wordMatch = normalizeVietnamese(raw).match(
+    /ngay\s*(\d{1,2})\s*thang\s*(\d{1,2})\s*(?:nam\s*)?(\d{4})/
+  );
+  if (wordMatch) {
+    return toValidIsoDate(Number(wordMatch[3]), Number(wordMatch[2]), Number(wordMatch[1]));
+  }
+
+  return "";
 }
 
 function parseDrawDate(rawText) {
-  const raw = String(rawText || "");
-  const dateMatch = raw.match(/\b\d{1,2}[\/\-]\d{1,2}[\/\-]\d{2,4}\b/);
-  return dateMatch ? dateMatch[0] : "";
+  return normalizeDrawDate(rawText);
+}
+
+function addDays(isoDate, days) {
+  const [year, month, day] = String(isoDate || "").split("-").map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return toValidIsoDate(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate());
+}
+
+function getWeekday(isoDate) {
+  const [year, month, day] = String(isoDate || "").split("-").map(Number);
+  if (!year || !month || !day) return -1;
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+function formatDisplayDate(isoDate) {
+  const [year, month, day] = String(isoDate || "").split("-");
+  return year && month && day ? `${day}/${month}/${year}` : String(isoDate || "");
+}
+
+function splitStationNames(stationName) {
+  return String(stationName || "")
+    .split("|")
+    .map((name) => cleanWhitespace(name))
+    .filter(Boolean);
+}
+
+function findCatalogStation(name) {
+  return STATION_CATALOG.find((item) => item.name === name) || null;
+}
+
+function findRegionByName(name) {
+  const entry = Object.entries(REGION_CONFIG).find(([, cfg]) => cfg.name === name);
+  return entry ? entry[0] : "";
+}
+
+// Region names ("Miền Bắc") stand for the whole region, which draws daily.
+function findScheduleEntry(name) {
+  const station = findCatalogStation(name);
+  if (station) return station;
+  const region = findRegionByName(name);
+  return region ? { name, region, days: [0, 1, 2, 3, 4, 5, 6] } : null;
+}
+
+function hasDrawStarted(drawTimes, now) {
+  const minutes = now.getHours() * 60 + now.getMinutes();
+  return drawTimes.every((drawTime) => {
+    const [hour, minute] = drawTime.split(":").map(Number);
+    return minutes >= hour * 60 + minute;
+  });
+}
+
+// Latest date on or before `reference` that falls on one of `days`; today
+// only counts once every draw time has passed, so the search reaches back a
+// full week to the same weekday.
+function findLatestDrawDate(days, drawTimes, reference) {
+  const now = new Date(reference);
+  if (Number.isNaN(now.getTime())) return "";
+
+  for (let offset = 0; offset <= 7; offset += 1) {
+    if (offset === 0 && !hasDrawStarted(drawTimes, now)) continue;
+    const day = new Date(now.getFullYear(), now.getMonth(), now.getDate() - offset);
+    if (days.includes(day.getDay())) {
+      return toLocalIsoDate(day);
+    }
+  }
+  return "";
+}
+
+// Latest date on or before `reference` when every listed station draws.
+function inferDrawDate(stationName, reference = new Date()) {
+  const stations = splitStationNames(stationName).map((name) => findScheduleEntry(name));
+  if (!stations.length || stations.some((station) => !station)) return "";
+
+  const days = [0, 1, 2, 3, 4, 5, 6].filter((day) =>
+    stations.every((station) => station.days.includes(day))
+  );
+  const drawTimes = [...new Set(stations.map((station) => REGION_CONFIG[station.region].drawTime))];
+  return findLatestDrawDate(days, drawTimes, reference);
+}
+
+function findOffScheduleStations(stationName, isoDate) {
+  const weekday = getWeekday(isoDate);
+  if (weekday < 0) return [];
+  return splitStationNames(stationName).filter((name) => {
+    const station = findCatalogStation(name);
+    return station ? !station.days.includes(weekday) : false;
+  });
+}
+
+function getStationsDrawingOn(value = new Date()) {
+  const isoDate =
+    typeof value === "string" ? normalizeDrawDate(value) : toLocalIsoDate(value);
+  const weekday = getWeekday(isoDate);
+  if (weekday < 0) {
+    throw new Error("Ngày không hợp lệ");
+  }
+
+  return {
+    date: isoDate,
+    weekday,
+    weekdayLabel: WEEKDAY_LABELS[weekday],
+    regions: Object.entries(REGION_CONFIG).map(([region, cfg]) => ({
+      region,
+      name: cfg.name,
+      drawTime: cfg.drawTime,
+      stations: STATION_CATALOG.filter(
+        (station) => station.region === region && station.days.includes(weekday)
+      ).map((station) => station.name)
+    }))
+  };
+}
+
+function isSpecialCodeLine(normalizedLine) {
+  return /(^|\b)(ma\s*db|ma\s*dac\s*biet|ky\s*hieu(\s*db)?)(\b|$)/.test(normalizedLine);
+}
+
+function extractSpecialCodes(line) {
+  const matches = String(line || "").match(/\b\d{1,2}\s*[A-Za-z]{2}\b/g);
+  if (!matches) return [];
+  return matches.map((code) => code.replace(/\s+/g, "").toUpperCase());
+}
+
+function detectRegion(rawText, stationHint, station, rows) {
+  const fromStation = getStationRegion(station);
+  if (fromStation) return fromStation;
+
+  const hint = stationHint && typeof stationHint === "object" ? stationHint : {};
+  const text = normalizeTokenText([rawText, hint.title, hint.url, hint.hostname].join(" "));
+  if (/\b(xsmb|mien bac|xstd)\b/.test(text)) return "MB";
+  if (/\b(xsmt|mien trung)\b/.test(text)) return "MT";
+  if (/\b(xsmn|mien nam)\b/.test(text)) return "MN";
+
+  const gdb = rows.find((row) => row.key === "gdb")?.numbers?.[0] || "";
+  const hasG8 = rows.some((row) => row.key === "g8");
+  const northernDbDigits = PRIZE_TEMPLATES.MB.find((cfg) => cfg.key === "gdb").digits;
+  if (!hasG8 && gdb.length === northernDbDigits) return "MB";
+  return "";
 }
 
 function parseManualKQXS(rawText, stationHint) {
@@ -258,9 +567,16 @@ function parseManualKQXS(rawText, stationHint) {
   };
 
   let currentKey = null;
+  const specialCodes = [];
 
   lines.forEach((line) => {
     const normalized = normalizeVietnamese(line);
+    if (isSpecialCodeLine(normalized)) {
+      specialCodes.push(...extractSpecialCodes(line));
+      currentKey = null;
+      return;
+    }
+
     const detectedKey = detectPrizeKey(normalized);
 
     if (detectedKey) {
@@ -301,14 +617,38 @@ function parseManualKQXS(rawText, stationHint) {
     return null;
   }
 
+  const parsedStation = parseStation(rawText, stationHint);
+  const region = detectRegion(rawText, stationHint, parsedStation, rows);
+
   return {
-    station: parseStation(rawText, stationHint),
-    drawDate: parseDrawDate(rawText),
-    prizes: rows,
-    numbers: allNumbers,
-    giaiDB: map.gdb[0] || "",
-    giai7: map.g7 || [],
-    giai8: map.g8 || []
+    ...buildTicketFromRows(
+      {
+        station: region === "MB" ? REGION_CONFIG.MB.name : parsedStation,
+        drawDate: parseDrawDate(rawText),
+        region,
+        specialCodes: [...new Set(specialCodes)]
+      },
+      rows
+    ),
+    numbers: allNumbers
+  };
+}
+
+function buildTicketFromRows({ station, drawDate, region, specialCodes }, prizes) {
+  const gdbRow = prizes.find((row) => row.key === "gdb");
+  const g7Row = prizes.find((row) => row.key === "g7");
+  const g8Row = prizes.find((row) => row.key === "g8");
+
+  return {
+    station,
+    drawDate: drawDate || "",
+    region: region || getStationRegion(station),
+    specialCodes: Array.isArray(specialCodes) ? specialCodes : [],
+    prizes,
+    numbers: prizes.flatMap((row) => row.numbers),
+    giaiDB: gdbRow?.numbers?.[0] || "",
+    giai7: Array.isArray(g7Row?.numbers) ? g7Row.numbers : [],
+    giai8: Array.isArray(g8Row?.numbers) ? g8Row.numbers : []
   };
 }
 
@@ -318,9 +658,12 @@ function splitTicketByStations(ticket, stations) {
   }
 
   const stationList = Array.isArray(stations)
-    ? stations.map((name) => normalizeStationName(name)).filter(Boolean)
+    ? stations
+        .map((name) => normalizeStationName(name))
+        .filter(Boolean)
+        .filter((name) => !ticket.region || getStationRegion(name) === ticket.region)
     : [];
-  if (stationList.length < 2) {
+  if (ticket.region === "MB" || stationList.length < 2) {
     return [];
   }
 
@@ -364,28 +707,71 @@ function splitTicketByStations(ticket, stations) {
         return null;
       }
 
-      const gdbRow = prizes.find((row) => row.key === "gdb");
-      const g7Row = prizes.find((row) => row.key === "g7");
-      const g8Row = prizes.find((row) => row.key === "g8");
-
-      return {
-        station,
-        drawDate: ticket.drawDate || "",
-        prizes,
-        numbers,
-        giaiDB: gdbRow?.numbers?.[0] || "",
-        giai7: Array.isArray(g7Row?.numbers) ? g7Row.numbers : [],
-        giai8: Array.isArray(g8Row?.numbers) ? g8Row.numbers : []
-      };
+      return buildTicketFromRows(
+        {
+          station,
+          drawDate: ticket.drawDate,
+          region: getStationRegion(station) || ticket.region,
+          specialCodes: ticket.specialCodes
+        },
+        prizes
+      );
     })
     .filter(Boolean);
 }
 
+// Numbers copied from a results table without its prize labels come cell by
+// cell: each prize row holds every station's numbers in column order. They
+// are only trusted when they fill the region's template exactly, read from
+// G8 up or from ĐB down, with every number the length its prize expects.
+function ticketsFromPrizeOrder(numbers, stations, drawDate) {
+  const stationList = (Array.isArray(stations) ? stations : []).map((name) => normalizeStationName(name));
+  const regions = new Set(stationList.map((station) => getStationRegion(station)));
+  const [region] = regions;
+  if (!stationList.length || regions.size !== 1 || !region || region === "MB") return [];
+
+  const template = getPrizeTemplate(region);
+  const total = template.reduce((sum, cfg) => sum + cfg.count, 0) * stationList.length;
+  if (numbers.length !== total) return [];
+
+  const order = PRIZE_CONFIG.map((cfg) => cfg.key);
+  for (const layout of [template, [...template].reverse()]) {
+    const rowsByStation = stationList.map(() => []);
+    let offset = 0;
+    const fits = layout.every((cfg) => {
+      const rowNumbers = numbers.slice(offset, offset + cfg.count * stationList.length);
+      offset += rowNumbers.length;
+      if (rowNumbers.some((value) => value.length !== cfg.digits)) return false;
+      stationList.forEach((_station, index) => {
+        rowsByStation[index].push({
+          key: cfg.key,
+          label: getPrizeLabel(cfg.key),
+          numbers: rowNumbers.slice(index * cfg.count, (index + 1) * cfg.count)
+        });
+      });
+      return true;
+    });
+    if (!fits) continue;
+
+    return stationList.map((station, index) =>
+      buildTicketFromRows(
+        { station, drawDate, region, specialCodes: [] },
+        rowsByStation[index].sort((a, b) => order.indexOf(a.key) - order.indexOf(b.key))
+      )
+    );
+  }
+  return [];
+}
+
 function resolveStationForItem(item) {
-  const direct = normalizeStationName(
-    String(item?.ticket?.station || item?.station || "").trim()
-  );
-  if (direct !== "Chưa rõ đài") {
+  return normalizeStationName(String(item?.ticket?.station || item?.station || "").trim());
+}
+
+// history.json entries may have saved "Thủ công" or nothing as the station;
+// the raw text and page hint usually still name it.
+function guessLegacyStation(item) {
+  const direct = resolveStationForItem(item);
+  if (direct !== UNKNOWN_STATION) {
     return direct;
   }
 
@@ -398,281 +784,2951 @@ function resolveStationForItem(item) {
   return normalizeStationName(hinted);
 }
 
-async function saveHistory(newData) {
-  let history = [];
+function getStationRegion(stationName) {
+  for (const name of splitStationNames(stationName)) {
+    const region = findRegionByName(name);
+    if (region) return region;
+    const station = findCatalogStation(name);
+    if (station) return station.region;
+  }
+  return "";
+}
 
-  if (await fs.pathExists(dataPath)) {
-    const fileData = await fs.readJson(dataPath);
-    if (Array.isArray(fileData)) {
-      history = fileData;
-    }
+function toComparableRows(item) {
+  if (Array.isArray(item?.ticket?.prizes)) {
+    return item.ticket.prizes.map((row) => ({
+      key: String(row?.key || ""),
+      label: String(row?.label || row?.key || ""),
+      numbers: (Array.isArray(row?.numbers) ? row.numbers : []).map((n) => clean(n)).filter(Boolean)
+    }));
   }
 
-  history.push(newData);
-  await fs.writeJson(dataPath, history, { spaces: 2 });
+  const numbers =
+    Array.isArray(item?.numbers) && item.numbers.length
+      ? item.numbers
+      : [item?.giaiDB, ...(item?.giai7 || []), ...(item?.giai8 || [])];
+  return [
+    {
+      key: "numbers",
+      label: "Dãy số",
+      numbers: numbers.map((n) => clean(n)).filter(Boolean)
+    }
+  ];
 }
 
-async function crawlKQXS() {
-  if (isCrawling) {
-    console.log("Bỏ qua: crawl trước đó vẫn đang chạy");
-    return null;
+// Identity is region + station + draw date. Draws without a known station
+// fall back to a fingerprint of their numbers so repeated crawls collapse.
+function buildDrawKey(item, station) {
+  const drawDate =
+    normalizeDrawDate(item?.ticket?.drawDate || item?.drawDate) || toLocalIsoDate(item?.date);
+  if (!drawDate) return "";
+
+  if (station === UNKNOWN_STATION) {
+    const numbers = toComparableRows(item).flatMap((row) => row.numbers);
+    if (!numbers.length) return "";
+    const fingerprint = crypto
+      .createHash("sha1")
+      .update(numbers.join(","))
+      .digest("hex")
+      .slice(0, 16);
+    return `?|${drawDate}|${fingerprint}`;
   }
 
-  isCrawling = true;
-  let browser;
+  const region = getStationRegion(station) || "?";
+  const stationKey = region === "MB" ? REGION_CONFIG.MB.name : station;
+  return `${region}|${normalizeTokenText(stationKey)}|${drawDate}`;
+}
 
-  try {
-    console.log("Đang mở web...");
+function isPrefixOf(shorter, longer) {
+  return shorter.length <= longer.length && shorter.every((value, index) => value === longer[index]);
+}
 
-    browser = await puppeteer.launch({
-      headless: "new",
-      args: ["--no-sandbox", "--disable-setuid-sandbox"]
-    });
+function mergePrizeRows(storedRows, incomingRows) {
+  const merged = storedRows.map((row) => ({ ...row, numbers: [...row.numbers] }));
+  const discrepancies = [];
+  let changed = false;
 
-    const page = await browser.newPage();
-    await page.goto(sourceUrl, {
-      waitUntil: "domcontentloaded",
-      timeout: 60000
+  incomingRows.forEach((row) => {
+    const target = merged.find((item) => item.key === row.key);
+    if (!target) {
+      merged.push({ ...row, numbers: [...row.numbers] });
+      changed = true;
+      return;
+    }
+    if (isPrefixOf(row.numbers, target.numbers)) return;
+    if (isPrefixOf(target.numbers, row.numbers)) {
+      target.numbers = [...row.numbers];
+      changed = true;
+      return;
+    }
+    discrepancies.push({
+      key: row.key,
+      label: target.label || row.label,
+      stored: target.numbers,
+      incoming: row.numbers
     });
+  });
 
-    await sleep(2000);
-
-    const data = await page.evaluate(() => {
-      const normalize = (text) => String(text || "").replace(/\D/g, "");
-
-      return {
-        date: new Date().toISOString(),
-        giaiDB: normalize(document.querySelector(".giai-db")?.innerText),
-        giai7: Array.from(document.querySelectorAll(".giai-7")).map((el) =>
-          normalize(el.innerText)
-        ),
-        giai8: Array.from(document.querySelectorAll(".giai-8")).map((el) =>
-          normalize(el.innerText)
-        )
-      };
-    });
+  const order = PRIZE_CONFIG.map((cfg) => cfg.key);
+  const rank = (key) => (order.includes(key) ? order.indexOf(key) : order.length);
+  merged.sort((a, b) => rank(a.key) - rank(b.key));
 
-    if (!data.giaiDB) {
-      console.log("Không lấy được dữ liệu!");
-      return null;
-    }
+  return { merged, discrepancies, changed };
+}
 
-    await saveHistory(data);
-    console.log("Đã cập nhật KQXS:", data);
-    return data;
-  } catch (err) {
-    console.error("Lỗi crawl:", err.message);
+// Crawler results (and old saves) only carry giaiDB/giai7/giai8; they get
+// the same ticket shape manual scans have. Loose number lists stay as they are.
+function toTicketShape(item, station) {
+  if (Array.isArray(item?.ticket?.prizes)) return item.ticket;
+
+  const rows = [
+    { key: "gdb", numbers: [clean(item?.giaiDB)] },
+    { key: "g7", numbers: Array.isArray(item?.giai7) ? item.giai7.map((n) => clean(n)) : [] },
+    { key: "g8", numbers: Array.isArray(item?.giai8) ? item.giai8.map((n) => clean(n)) : [] }
+  ]
+    .map((row) => ({ ...row, label: getPrizeLabel(row.key), numbers: row.numbers.filter(Boolean) }))
+    .filter((row) => row.numbers.length);
+  const loose = Array.isArray(item?.numbers) ? item.numbers.map((n) => clean(n)).filter(Boolean) : [];
+  if (!rows.length || (loose.length && loose.join(",") !== rows.flatMap((row) => row.numbers).join(","))) {
     return null;
-  } finally {
-    if (browser) {
-      try {
-        await browser.close();
-      } catch (closeErr) {
-        console.error("Lỗi đóng browser:", closeErr.message);
-      }
-    }
-    isCrawling = false;
   }
-}
 
-function thongKeTop(numbers, limit = 10) {
-  const count = {};
+  return buildTicketFromRows(
+    {
+      station,
+      drawDate: normalizeDrawDate(item?.drawDate),
+      region: item?.region || getStationRegion(station),
+      specialCodes: []
+    },
+    rows
+  );
+}
 
-  numbers.forEach((entry) => {
-    const rawValue =
-      entry && typeof entry === "object" ? entry.number : entry;
-    const dai =
-      entry && typeof entry === "object"
-        ? String(entry.station || "Tổng hợp")
-        : "Tổng hợp";
+function toStoredItem(item) {
+  const station = resolveStationForItem(item);
+  const ticket = toTicketShape(item, station);
+  const upgraded = ticket ? { ...item, ticket, numbers: ticket.numbers } : item;
+  return {
+    ...upgraded,
+    station,
+    region: ticket?.region || item?.region || getStationRegion(station),
+    drawKey: buildDrawKey(upgraded, station)
+  };
+}
 
-    const key = clean(rawValue);
-    if (!key) return;
-    const normalized = key.length >= 2 ? key.slice(-2) : key;
-    const counterKey = `${dai}@@${normalized}`;
-    count[counterKey] = (count[counterKey] || 0) + 1;
-  });
+function toSaveResult(status, item, discrepancies = []) {
+  return {
+    status,
+    id: item.id,
+    drawKey: item.drawKey || "",
+    station: item.station,
+    drawDate: item?.ticket?.drawDate || "",
+    discrepancies,
+    item
+  };
+}
 
-  return Object.entries(count)
-    .map(([counterKey, value]) => {
-      const [dai, number] = counterKey.split("@@");
-      return { number, count: value, dai };
+function samePrizeRows(a, b) {
+  const rowsA = toComparableRows(a);
+  const rowsB = toComparableRows(b);
+  return (
+    rowsA.length === rowsB.length &&
+    rowsA.every((row) => {
+      const other = rowsB.find((item) => item.key === row.key);
+      return other && other.numbers.join(",") === row.numbers.join(",");
     })
-    .sort((a, b) => b.count - a.count)
-    .slice(0, limit);
+  );
 }
 
-async function thongKe(limit = 10) {
-  if (!(await fs.pathExists(dataPath))) {
-    return [];
+// A cross-checked crawl replaces an unchecked crawl of the same draw. It never
+// overrides a verified draw, and only tags a user's own entry when it matches.
+function planVerificationUpgrade(existing, incoming) {
+  const status = incoming.verification?.status;
+  const current = existing.verification?.status || "";
+  if (!status || current === "verified" || (current === "conflict" && status === "conflict")) {
+    return null;
   }
-
-  const history = await fs.readJson(dataPath);
-  if (!Array.isArray(history)) {
-    return [];
+  if (String(existing.source).startsWith("crawler")) {
+    return { status: "updated", id: existing.id, item: incoming };
+  }
+  if (samePrizeRows(existing, incoming)) {
+    return {
+      status: "updated",
+      id: existing.id,
+      item: toStoredItem({ ...existing, verification: incoming.verification })
+    };
   }
+  return null;
+}
 
-  const allNumbers = [];
+// Decides what saving `newData` would do without writing anything, so
+// imports can preview the outcome.
+function planUpsert(newData) {
+  const incoming = toStoredItem(newData);
+  const existing = historyDb.findDrawByKey(incoming.drawKey);
 
-  history.forEach((item) => {
-    const station = resolveStationForItem(item);
+  if (!existing) {
+    return { status: "inserted", item: incoming };
+  }
+  const upgrade = planVerificationUpgrade(existing, incoming);
+  if (upgrade) return upgrade;
 
-    if (Array.isArray(item.numbers) && item.numbers.length) {
-      item.numbers.forEach((number) =>
-        allNumbers.push({ number, station })
-      );
-      return;
-    }
+  const incomingHasTicket = Array.isArray(incoming.ticket?.prizes);
+  const existingHasTicket = Array.isArray(existing.ticket?.prizes);
+  if (incomingHasTicket && !existingHasTicket) {
+    return { status: "updated", id: existing.id, item: incoming };
+  }
+  if (!incomingHasTicket && existingHasTicket) {
+    return { status: "skipped", item: existing, discrepancies: [] };
+  }
 
-    allNumbers.push({ number: item.giaiDB, station });
-    (item.giai7 || []).forEach((number) =>
-      allNumbers.push({ number, station })
-    );
-    (item.giai8 || []).forEach((number) =>
-      allNumbers.push({ number, station })
-    );
-  });
+  const { merged, discrepancies, changed } = mergePrizeRows(
+    toComparableRows(existing),
+    toComparableRows(incoming)
+  );
+  if (discrepancies.length || !changed) {
+    return { status: "skipped", item: existing, discrepancies };
+  }
 
-  return thongKeTop(allNumbers, limit);
+  const updated = incomingHasTicket
+    ? (() => {
+        const ticket = buildTicketFromRows(
+          {
+            station: incoming.ticket.station || incoming.station,
+            drawDate: incoming.ticket.drawDate || existing.ticket.drawDate,
+            region: incoming.ticket.region || existing.ticket.region,
+            specialCodes: incoming.ticket.specialCodes?.length
+              ? incoming.ticket.specialCodes
+              : existing.ticket.specialCodes
+          },
+          merged
+        );
+        return {
+          ...incoming,
+          ticket,
+          numbers: ticket.numbers,
+          giaiDB: ticket.giaiDB || incoming.giaiDB,
+          giai7: ticket.giai7,
+          giai8: ticket.giai8
+        };
+      })()
+    : incoming;
+  return { status: "updated", id: existing.id, item: updated };
 }
 
-async function thongKeTheoDai(limit = 10) {
-  if (!(await fs.pathExists(dataPath))) {
-    return [];
+function upsertDraw(newData) {
+  const plan = planUpsert(newData);
+  if (plan.status === "inserted") {
+    const [id] = historyDb.insertDraws([plan.item]);
+    return toSaveResult("inserted", { ...plan.item, id });
   }
-
-  const history = await fs.readJson(dataPath);
-  if (!Array.isArray(history)) {
-    return [];
+  if (plan.status === "updated") {
+    historyDb.updateDraw(plan.id, plan.item);
+    return toSaveResult("updated", { ...plan.item, id: plan.id });
   }
+  return toSaveResult("skipped", plan.item, plan.discrepancies);
+}
 
-  const counterByStation = {};
+function summarizeSaveStatus(results) {
+  if (results.some((result) => result.status === "inserted")) return "inserted";
+  if (results.some((result) => result.status === "updated")) return "updated";
+  return "skipped";
+}
 
-  history.forEach((item) => {
-    const station = resolveStationForItem(item);
-    const rawNumbers = Array.isArray(item?.numbers) ? item.numbers : [];
-    if (!rawNumbers.length) {
-      return;
+// history.json was rewritten in place on every save, so a crash could leave
+// it cut off mid-array. Keep every complete entry before the cut.
+function parseLegacyHistory(text) {
+  const source = String(text || "").replace(/^\uFEFF/, "").trim();
+  try {
+    return JSON.parse(source);
+  } catch (err) {
+    if (!source.startsWith("[")) throw err;
+    for (let end = source.lastIndexOf("}"); end > 0; end = source.lastIndexOf("}", end - 1)) {
+      try {
+        const items = JSON.parse(`${source.slice(0, end + 1)}]`);
+        console.warn(`history.json bị cắt ngang, khôi phục ${items.length} mục`);
+        return items;
+      } catch (_err) {
+        // Cut inside a nested object; try the previous closing brace.
+      }
     }
+    return [];
+  }
+}
 
-    if (!counterByStation[station]) {
-      counterByStation[station] = {};
+// Legacy entries are re-read from their raw text like a fresh paste, so a
+// copy covering several stations is split per station and dated from the
+// text, or else from the schedule relative to when it was saved.
+function toLegacyItems(item) {
+  if (item.rawText) {
+    const savedAt = new Date(item.date);
+    try {
+      return buildManualItems(item.rawText, item.stationHint, {
+        reference: Number.isNaN(savedAt.getTime()) ? new Date() : savedAt
+      }).map((built) => ({ ...built, date: item.date || built.date, source: item.source || built.source }));
+    } catch (_err) {
+      // Unparseable or off-schedule text: keep the entry as it was saved.
     }
+  }
+  return [{ ...item, station: guessLegacyStation(item) }];
+}
 
-    rawNumbers.forEach((n) => {
-      const cleaned = clean(n);
-      if (!cleaned) return;
-      const key = cleaned.length >= 2 ? cleaned.slice(-2) : cleaned;
-      counterByStation[station][key] =
-        (counterByStation[station][key] || 0) + 1;
-    });
-  });
-
-  return Object.entries(counterByStation)
-    .map(([dai, counter]) => {
-      const top = Object.entries(counter)
-        .map(([number, count]) => ({ number, count }))
-        .sort((a, b) => b.count - a.count)
-        .slice(0, Math.max(1, limit));
-      return { dai, top };
-    })
-    .filter((item) => item.top.length)
-    .sort((a, b) => a.dai.localeCompare(b.dai, "vi"));
+// Without a draw date there is no identity to build; the save time is not
+// the draw date, so the row is stored without a key.
+function insertUndatedDraw(item) {
+  const stored = { ...toStoredItem(item), drawKey: "" };
+  const [id] = historyDb.insertDraws([stored]);
+  return toSaveResult("inserted", { ...stored, id });
 }
 
-async function saveManualCopy(rawText, stationHint) {
-  const safeText = String(rawText || "").slice(0, 6000);
-  const ticket = parseManualKQXS(safeText, stationHint);
-  const numbers = ticket?.numbers || extractNumbers(safeText);
-  if (!numbers.length) {
-    throw new Error("Không tìm thấy số trong nội dung đã copy");
+async function importLegacyHistory(filePath = legacyDataPath) {
+  if (!(await fs.pathExists(filePath))) {
+    return { imported: 0 };
   }
 
-  const detectedStations = detectStations(safeText, stationHint);
-  const splitTickets = ticket
-    ? splitTicketByStations(ticket, detectedStations)
-    : [];
-  const nowIso = new Date().toISOString();
-  const safeStationHint =
-    stationHint && typeof stationHint === "object" ? stationHint : null;
-
-  const itemsToSave = splitTickets.length
-    ? splitTickets.map((splitTicket) => ({
-        date: nowIso,
-        source: "manual-scan",
-        rawText: safeText,
-        numbers: splitTicket.numbers,
-        station: normalizeStationName(splitTicket.station),
-        stationHint: safeStationHint,
-        giaiDB: splitTicket.giaiDB || splitTicket.numbers[0] || "",
-        giai7: splitTicket.giai7 || [],
-        giai8: splitTicket.giai8 || [],
-        ticket: splitTicket
-      }))
-    : [
-        {
-          date: nowIso,
-          source: ticket ? "manual-scan" : "manual-copy",
-          rawText: safeText,
-          numbers,
-          station: normalizeStationName(ticket?.station || parseStation(safeText, stationHint)),
-          stationHint: safeStationHint,
-          giaiDB: ticket?.giaiDB || numbers[0] || "",
-          giai7: ticket?.giai7 || [],
-          giai8: ticket?.giai8 || [],
-          ticket: ticket || null
-        }
-      ];
-
-  for (const item of itemsToSave) {
-    await saveHistory(item);
+  const fileData = parseLegacyHistory(await fs.readFile(filePath, "utf8"));
+  if (!Array.isArray(fileData)) {
+    throw new Error("File lịch sử không đúng định dạng mảng JSON");
   }
 
-  return itemsToSave.length === 1 ? itemsToSave[0] : itemsToSave;
+  const items = fileData
+    .filter((item) => item && typeof item === "object")
+    .flatMap((item) => toLegacyItems(item));
+  const results = historyDb.runInTransaction(() =>
+    items.map((item) =>
+      normalizeDrawDate(item.ticket?.drawDate || item.drawDate) ? upsertDraw(item) : insertUndatedDraw(item)
+    )
+  );
+  return {
+    imported: results.filter((result) => result.status !== "skipped").length,
+    skipped: results.filter((result) => result.status === "skipped").length
+  };
 }
 
-async function getHistory(limit = 50) {
-  if (!(await fs.pathExists(dataPath))) {
-    return [];
-  }
-
-  const history = await fs.readJson(dataPath);
-  if (!Array.isArray(history)) {
-    return [];
-  }
-
-  return history.slice(-Math.max(1, limit)).reverse();
+function backfillStationRegions() {
+  historyDb
+    .listStations()
+    .filter((station) => !station.region)
+    .forEach((station) => {
+      const region = getStationRegion(station.name);
+      if (region) historyDb.setStationRegion(station.id, region);
+    });
 }
 
-async function clearHistory() {
-  await fs.writeJson(dataPath, [], { spaces: 2 });
-  return true;
+function normalizeStoredDrawDates() {
+  historyDb.runInTransaction(() => {
+    historyDb.listNonIsoDrawDates().forEach((row) => {
+      // Unparseable dates stay as they are rather than being blanked.
+      const drawDate = normalizeDrawDate(row.drawDate);
+      if (drawDate) historyDb.setDrawDate(row.id, drawDate);
+    });
+  });
 }
 
-function startAuto() {
-  if (cronTask) {
-    console.log("Auto Agent đã chạy nền...");
-    return;
-  }
+// Rows saved before draw identities existed keep a NULL key when their
+// identity is already taken, so older duplicates stay visible for cleanup.
+function backfillDrawKeys() {
+  historyDb.runInTransaction(() => {
+    historyDb.listDrawsWithoutKey().forEach((item) => {
+      const drawKey = buildDrawKey(item, item.station);
+      if (drawKey && !historyDb.findDrawByKey(drawKey)) {
+        historyDb.setDrawKey(item.id, drawKey);
+      }
+    });
+  });
+}
 
-  const expr = process.env.CRAWL_CRON || "*/5 * * * *";
-  const cronExpr = cron.validate(expr) ? expr : "*/5 * * * *";
+// Draws saved before the station catalog covered Miền Trung/Bắc may still
+// sit under "Chưa rõ đài"; their raw text can now name the station.
+function resolveUnknownStations() {
+  historyDb.runInTransaction(() => {
+    historyDb.listDrawsInRange({ station: UNKNOWN_STATION }).forEach((item) => {
+      const station = guessLegacyStation({ ...item, station: "", ticket: null });
+      if (station === UNKNOWN_STATION) return;
 
-  cronTask = cron.schedule(cronExpr, () => {
-    crawlKQXS().catch((err) => {
-      console.error("Lỗi cron crawl:", err.message);
+      const upgraded = toStoredItem({
+        ...item,
+        station,
+        region: "",
+        ticket: item.ticket ? { ...item.ticket, station, region: "" } : null
+      });
+      const clash = historyDb.findDrawByKey(upgraded.drawKey);
+      if (!clash || clash.id === item.id) {
+        historyDb.updateDraw(item.id, upgraded);
+      }
     });
   });
+}
 
-  console.log("Auto Agent đã chạy nền...");
+// Upgrades that need the parser run once per database, in order; meta
+// "data_version" counts how many have been applied, so restored backups
+// catch up too.
+const DATA_MIGRATIONS = [
+  normalizeStoredDrawDates,
+  backfillStationRegions,
+  backfillDrawKeys,
+  resolveUnknownStations
+];
+
+function runDataMigrations() {
+  const current = Number(historyDb.getMeta(DATA_VERSION_META_KEY)) || 0;
+  for (let version = current; version < DATA_MIGRATIONS.length; version += 1) {
+    DATA_MIGRATIONS[version]();
+    historyDb.setMeta(DATA_VERSION_META_KEY, version + 1);
+  }
+}
+
+function ensureHistoryStore() {
+  if (!storeReady) {
+    storeReady = (async () => {
+      runDataMigrations();
+      if (historyDb.getMeta(LEGACY_IMPORT_META_KEY)) return;
+      const result = await importLegacyHistory(legacyDataPath);
+      historyDb.setMeta(LEGACY_IMPORT_META_KEY, new Date().toISOString());
+      if (result.imported) {
+        console.log(`Đã nhập ${result.imported} kết quả từ history.json vào SQLite`);
+      }
+    })().catch((err) => {
+      storeReady = null;
+      throw err;
+    });
+  }
+  return storeReady;
+}
+
+// Every store write goes through one queue. Writes span awaits (file reads,
+// store setup), so a scheduled crawl overlapping a manual save, or a backup
+// restore reopening the database, would otherwise interleave.
+function enqueueWrite(task) {
+  const run = writeQueue.then(() => task());
+  writeQueue = run.catch(() => {});
+  return run;
+}
+
+function saveHistory(newData) {
+  return enqueueWrite(async () => {
+    await ensureHistoryStore();
+    return upsertDraw(newData);
+  });
+}
+
+// Rows follow PRIZE_CONFIG order like parseManualKQXS; a cell may hold
+// several numbers ("12345 - 67890"). Multi-station pages list each prize
+// row left to right: with one cell per station the cells map straight to
+// stations, otherwise the combined ticket splits like pasted text does.
+// Live pages show half-drawn numbers, so `live` keeps only full-length ones.
+function buildAdapterTickets(adapter, extracted, drawDate, live = false) {
+  const template = getPrizeTemplate(adapter.region);
+  const toNumbers = (key, cells) =>
+    cells
+      .flatMap((text) => extractNumbers(text))
+      .filter((n) => !live || n.length === template.find((cfg) => cfg.key === key)?.digits);
+  const toRows = (pickCells) =>
+    PRIZE_CONFIG.map((cfg) => ({
+      key: cfg.key,
+      label: cfg.label,
+      numbers: toNumbers(cfg.key, pickCells(extracted.prizes[cfg.key] || []))
+    })).filter((row) => row.numbers.length);
+
+  const stationText = extracted.stations.join(" ");
+  const stations = adapter.station ? [] : detectStations(stationText, {});
+  const pageDate = normalizeDrawDate(extracted.drawDate) || drawDate;
+  if (adapter.region !== "MB" && stations.length >= 2) {
+    const aligned = PRIZE_CONFIG.every((cfg) => {
+      const cells = extracted.prizes[cfg.key] || [];
+      return !cells.length || cells.length === stations.length;
+    });
+    if (aligned) {
+      return stations
+        .map((station, index) =>
+          buildTicketFromRows(
+            { station, drawDate: pageDate, region: adapter.region, specialCodes: [] },
+            toRows((cells) => [cells[index]])
+          )
+        )
+        .filter((ticket) => ticket.prizes.length);
+    }
+  }
+
+  let station = UNKNOWN_STATION;
+  if (adapter.region === "MB") {
+    station = REGION_CONFIG.MB.name;
+  } else if (adapter.station) {
+    station = normalizeStationName(adapter.station);
+  } else if (stationText) {
+    station = parseStation(stationText, {});
+  }
+
+  const ticket = buildTicketFromRows(
+    { station, drawDate: pageDate, region: adapter.region, specialCodes: [] },
+    toRows((cells) => cells)
+  );
+  if (adapter.region === "MB" || stations.length < 2) {
+    return ticket.prizes.length ? [ticket] : [];
+  }
+
+  const tickets = splitTicketByStations(ticket, stations);
+  if (!tickets.length && !live) {
+    throw new Error(`Không tách được kết quả theo ${stations.length} đài: ${stations.join(", ")}`);
+  }
+  return tickets;
+}
+
+// Row labels in result tables: "G.8", "Giải tám", "ĐB" or a bare "8".
+function detectTablePrizeKey(text) {
+  const token = normalizeTokenText(text);
+  if (/^[1-8]$/.test(token)) return `g${token}`;
+  return detectPrizeKey(token.replace(/^g (\d)$/, "g$1"));
+}
+
+function isTableCodeLabel(text) {
+  return isSpecialCodeLine(normalizeTokenText(text));
+}
+
+// One ticket per station column. The label column is the one naming the
+// most prizes; station names come from the header row above the first prize
+// row, and columns sharing one (colspan) header cell belong to one station.
+// Rows with an empty label continue the prize above them.
+function ticketsFromTableGrid(grid, context = {}) {
+  const width = grid[0]?.length || 0;
+  const labelScores = Array.from(
+    { length: width },
+    (_value, column) => grid.filter((row) => row[column] && detectTablePrizeKey(row[column].text)).length
+  );
+  const labelColumn = labelScores.indexOf(Math.max(0, ...labelScores));
+  if (labelColumn < 0 || labelScores[labelColumn] < 3) return [];
+
+  let currentKey = null;
+  let seenLabel = null;
+  const rowKeys = grid.map((row) => {
+    const label = row[labelColumn];
+    if (!label) return currentKey;
+    if (label === seenLabel) return currentKey;
+    seenLabel = label;
+    if (isTableCodeLabel(label.text)) {
+      currentKey = "codes";
+    } else if (detectTablePrizeKey(label.text)) {
+      currentKey = detectTablePrizeKey(label.text);
+    } else if (label.text) {
+      currentKey = null;
+    }
+    return currentKey;
+  });
+  const firstPrizeRow = rowKeys.findIndex((key) => key && key !== "codes");
+
+  const dataColumns = Array.from({ length: width }, (_value, column) => column).filter(
+    (column) =>
+      column !== labelColumn &&
+      grid.some((row, index) => rowKeys[index] && row[column] && extractNumbers(row[column].text).length)
+  );
+  if (!dataColumns.length) return [];
+
+  const headerRow = grid
+    .slice(0, Math.max(0, firstPrizeRow))
+    .map((row) => dataColumns.filter((column) => row[column] && findStationsInText(row[column].text).length))
+    .reduce((best, matched, index) => (matched.length > best.count ? { index, count: matched.length } : best), {
+      index: -1,
+      count: 0
+    });
+
+  const groups = [];
+  dataColumns.forEach((column) => {
+    const header = headerRow.index >= 0 ? grid[headerRow.index][column] : null;
+    const last = groups[groups.length - 1];
+    if (last && last.header && last.header === header) {
+      last.columns.push(column);
+    } else {
+      groups.push({ header, columns: [column] });
+    }
+  });
+  const stationGroups = groups.filter((group) => group.header && findStationsInText(group.header.text).length);
+  const usedGroups = stationGroups.length ? stationGroups : [{ header: null, columns: dataColumns }];
+
+  const order = PRIZE_CONFIG.map((cfg) => cfg.key);
+  return usedGroups
+    .map((group) => {
+      const cellsByKey = new Map();
+      grid.forEach((row, index) => {
+        const key = rowKeys[index];
+        if (!key) return;
+        if (!cellsByKey.has(key)) cellsByKey.set(key, []);
+        const cells = cellsByKey.get(key);
+        group.columns.forEach((column) => {
+          const cell = row[column];
+          if (cell && !cells.includes(cell)) cells.push(cell);
+        });
+      });
+
+      const textOf = (key) => (cellsByKey.get(key) || []).map((cell) => cell.text).join(" ");
+      const rows = order
+        .map((key) => ({ key, label: getPrizeLabel(key), numbers: extractNumbers(textOf(key)) }))
+        .filter((row) => row.numbers.length);
+      let station = group.header
+        ? normalizeStationName(group.header.text)
+        : context.station
+          ? normalizeStationName(context.station)
+          : UNKNOWN_STATION;
+      const looksNorthern =
+        !rows.some((row) => row.key === "g8") &&
+        rows.find((row) => row.key === "gdb")?.numbers[0]?.length === 5;
+      const region = getStationRegion(station) || context.region || (looksNorthern ? "MB" : "");
+      if (region === "MB" && station === UNKNOWN_STATION) {
+        station = REGION_CONFIG.MB.name;
+      }
+      return buildTicketFromRows(
+        {
+          station,
+          drawDate: context.drawDate || "",
+          region,
+          specialCodes: extractSpecialCodes(textOf("codes"))
+        },
+        rows
+      );
+    })
+    .filter((ticket) => ticket.prizes.length);
+}
+
+// Reads every result table in an HTML page or fragment. Nested tables are
+// skipped once an outer table gave tickets; the first ticket per station and
+// date wins. Dates come from the table title, then `context.drawDate`, then
+// anywhere in the page.
+function parseHtmlTickets(html, context = {}) {
+  const document = resultTable.loadDocument(html);
+  const pageDate = parseDrawDate(resultTable.cellText(document.body || document.documentElement));
+  const parsedTables = [];
+  const tickets = [];
+
+  resultTable.readTables(document, context.selector).forEach((table) => {
+    if (parsedTables.some((outer) => outer.contains(table.element))) return;
+    const drawDate = parseDrawDate(table.title) || context.drawDate || pageDate;
+    const found = ticketsFromTableGrid(table.grid, { ...context, drawDate });
+    if (!found.length) return;
+    parsedTables.push(table.element);
+    found.forEach((ticket) => {
+      const duplicate = tickets.some(
+        (item) => item.station === ticket.station && item.drawDate === ticket.drawDate
+      );
+      if (!duplicate) tickets.push(ticket);
+    });
+  });
+  return tickets;
+}
+
+// Adapters with a `tableSelector` read the page through the table parser
+// instead of per-prize selectors.
+function buildTableTickets(adapter, html, extracted, drawDate, live = false) {
+  const template = getPrizeTemplate(adapter.region);
+  return parseHtmlTickets(html, {
+    selector: adapter.tableSelector,
+    region: adapter.region,
+    station: adapter.station,
+    drawDate: normalizeDrawDate(extracted.drawDate) || drawDate
+  })
+    .filter((ticket) => !ticket.region || ticket.region === adapter.region)
+    .map((ticket) => {
+      if (!live) return ticket;
+      const prizes = ticket.prizes
+        .map((row) => ({
+          ...row,
+          numbers: row.numbers.filter(
+            (n) => n.length === template.find((cfg) => cfg.key === row.key)?.digits
+          )
+        }))
+        .filter((row) => row.numbers.length);
+      return buildTicketFromRows(ticket, prizes);
+    })
+    .filter((ticket) => ticket.prizes.length);
+}
+
+// Each station gets its own draw date: the page date when it shows one,
+// otherwise the station's latest draw day.
+function toCrawledItem(ticket, url, source) {
+  return assignDrawDate(
+    {
+      date: new Date().toISOString(),
+      source,
+      numbers: ticket.numbers,
+      station: normalizeStationName(ticket.station),
+      drawDate: ticket.drawDate,
+      stationHint: { url, hostname: new URL(url).hostname },
+      giaiDB: ticket.giaiDB,
+      giai7: ticket.giai7,
+      giai8: ticket.giai8,
+      ticket
+    },
+    new Date()
+  );
+}
+
+function saveItems(items) {
+  return enqueueWrite(async () => {
+    await ensureHistoryStore();
+    return historyDb.runInTransaction(() =>
+      items.map((item) => ({ ...upsertDraw(item), validation: validateTicket(item.ticket) }))
+    );
+  });
+}
+
+// `options.live` keeps partial tickets as "crawler-live"; a ticket becomes a
+// plain "crawler" draw once its ĐB is out. Every result carries the crawl
+// `path` ("http" or "browser") and how long loading the page took.
+async function fetchAdapterItems(session, adapter, drawDate, options = {}) {
+  const url = sourceAdapters.buildAdapterUrl(adapter, drawDate || toLocalIsoDate(new Date()));
+  const startedAt = Date.now();
+  const fetched = {
+    adapterId: adapter.id,
+    url,
+    path: adapter.jsRendered ? "browser" : "http",
+    startedAt: new Date(startedAt).toISOString()
+  };
+
+  try {
+    const { extracted, html } = await crawlPage.loadAdapterPage(session, adapter, url);
+    fetched.durationMs = Date.now() - startedAt;
+    fetched.html = html;
+
+    const tickets = (
+      adapter.tableSelector
+        ? buildTableTickets(adapter, html, extracted, drawDate, options.live)
+        : buildAdapterTickets(adapter, extracted, drawDate, options.live)
+    ).filter((ticket) => options.live || ticket.giaiDB);
+    if (!tickets.length && !options.live) {
+      console.log(`Không lấy được dữ liệu! (${adapter.id})`);
+    }
+    return {
+      ...fetched,
+      tickets,
+      items: tickets.map((ticket) =>
+        toCrawledItem(ticket, url, ticket.giaiDB ? "crawler" : "crawler-live")
+      )
+    };
+  } catch (err) {
+    console.error(`Lỗi crawl ${adapter.id}:`, err.message);
+    return {
+      ...fetched,
+      durationMs: fetched.durationMs || Date.now() - startedAt,
+      html: fetched.html || err.html || "",
+      error: err.message,
+      tickets: [],
+      items: []
+    };
+  }
+}
+
+async function saveAdapterItems(fetched) {
+  const { tickets, items, error, html, ...meta } = fetched;
+  if (error) {
+    return { ...meta, status: "error", error, stations: [] };
+  }
+  if (!items.length) {
+    return { ...meta, status: "empty", prizesFound: 0, stations: [] };
+  }
+
+  try {
+    const results = await saveItems(items);
+    // Live polls re-save unchanged stations every few seconds; only log changes.
+    results
+      .filter((result) => result.status === "inserted" || result.status === "updated")
+      .forEach((result) => {
+        console.log(`Đã cập nhật KQXS ${meta.adapterId} (${result.status}): ${result.station} ${result.drawDate}`);
+      });
+    return {
+      ...meta,
+      status: summarizeSaveStatus(results),
+      final: tickets.every((ticket) => ticket.giaiDB),
+      prizesFound: Math.max(...tickets.map((ticket) => ticket.prizes.length)),
+      stations: results.map((result, index) => ({
+        station: result.station,
+        drawDate: result.drawDate,
+        status: result.status,
+        verification: result.item.verification?.status || "",
+        prizesFound: tickets[index].prizes.length,
+        final: Boolean(tickets[index].giaiDB),
+        validation: result.validation,
+        discrepancies: result.discrepancies || []
+      })),
+      items: results.map((result) => result.item)
+    };
+  } catch (err) {
+    console.error(`Lỗi lưu kết quả ${meta.adapterId}:`, err.message);
+    return { ...meta, status: "error", error: err.message, stations: [] };
+  }
+}
+
+// Live polls only log failures and the final poll, not every partial page.
+async function recordCrawlRun(trigger, fetched, result) {
+  if (trigger === "live" && result.status !== "error" && !result.final) return;
+  try {
+    await crawlLog.recordRun(
+      {
+        trigger,
+        startedAt: fetched.startedAt,
+        adapterId: result.adapterId,
+        url: result.url,
+        path: result.path,
+        durationMs: result.durationMs,
+        status: result.status,
+        prizesFound: result.prizesFound,
+        stations: result.stations.map(({ station, drawDate, status, verification, prizesFound }) => ({
+          station,
+          drawDate,
+          status,
+          verification,
+          prizesFound
+        })),
+        error: result.error
+      },
+      fetched.html
+    );
+  } catch (err) {
+    console.error("Lỗi ghi nhật ký crawl:", err.message);
+  }
+}
+
+// `options.trigger` names who started the crawl in the run log.
+async function crawlAdapter(session, adapter, drawDate, options = {}) {
+  const fetched = await fetchAdapterItems(session, adapter, drawDate, options);
+  const result = await saveAdapterItems(fetched);
+  await recordCrawlRun(options.trigger || "manual", fetched, result);
+  return result;
+}
+
+function findPrizeNumbers(item, key) {
+  return item.ticket.prizes.find((row) => row.key === key)?.numbers || [];
+}
+
+// Compares the tickets several sources gave for one draw, prize by prize.
+// Each conflict lists every distinct value with the sources that showed it.
+function compareSources(entries) {
+  const keys = PRIZE_CONFIG.map((cfg) => cfg.key).filter((key) =>
+    entries.some(({ item }) => findPrizeNumbers(item, key).length)
+  );
+  const conflicts = [];
+  keys.forEach((key) => {
+    const versions = [];
+    entries.forEach(({ adapterId, item }) => {
+      const numbers = findPrizeNumbers(item, key);
+      const version = versions.find((v) => v.numbers.join(",") === numbers.join(","));
+      if (version) {
+        version.sources.push(adapterId);
+      } else {
+        versions.push({ sources: [adapterId], numbers: [...numbers] });
+      }
+    });
+    if (versions.length > 1) {
+      conflicts.push({ key, label: getPrizeLabel(key), versions });
+    }
+  });
+
+  return {
+    status: conflicts.length ? "conflict" : "verified",
+    sources: entries.map(({ adapterId }) => adapterId),
+    checkedAt: new Date().toISOString(),
+    conflicts
+  };
+}
+
+// Draws seen by two or more adapters get a `verification` record. The value
+// stored on conflict is the one from the adapter listed first.
+function crossCheckSources(fetchedList) {
+  const byDrawKey = new Map();
+  fetchedList.forEach((fetched) => {
+    fetched.items.forEach((item) => {
+      const { drawKey } = toStoredItem(item);
+      if (!drawKey) return;
+      if (!byDrawKey.has(drawKey)) byDrawKey.set(drawKey, []);
+      byDrawKey.get(drawKey).push({ adapterId: fetched.adapterId, item });
+    });
+  });
+
+  byDrawKey.forEach((entries) => {
+    if (entries.length < 2) return;
+    const verification = compareSources(entries);
+    entries.forEach(({ item }) => {
+      item.verification = verification;
+    });
+  });
+}
+
+// Crawls every enabled source adapter, or only `options.adapterId` or the
+// adapters of `options.regions`. `options.date` (ISO) fills the adapter URL
+// placeholders; it defaults to today. All pages are fetched before anything
+// is saved so draws shown by several sources can be cross-checked.
+async function crawlKQXS(options = {}) {
+  const trigger = options.trigger || "manual";
+  const startedAt = new Date().toISOString();
+  const recordSkipped = (status, error) =>
+    crawlLog
+      .recordRun({ trigger, startedAt, adapterId: options.adapterId || "", status, error })
+      .catch((err) => console.error("Lỗi ghi nhật ký crawl:", err.message));
+
+  // Backfill and live polling share the guard so only one crawl browser runs
+  // at a time; a live session already saves the draws a crawl would fetch.
+  if (isCrawling || backfillRun || liveSessions.size) {
+    const reason = isCrawling
+      ? "Crawl trước đó vẫn đang chạy"
+      : backfillRun
+        ? "Đang lấy dữ liệu cũ"
+        : "Đang quay trực tiếp";
+    console.log(`Bỏ qua: ${reason}`);
+    await recordSkipped("busy", reason);
+    return null;
+  }
+
+  isCrawling = true;
+  const session = crawlPage.createSession();
+
+  try {
+    const adapters = (await sourceAdapters.loadAdapters()).filter((adapter) =>
+      options.adapterId
+        ? adapter.id === options.adapterId
+        : adapter.enabled && (!options.regions || options.regions.includes(adapter.region))
+    );
+    if (!adapters.length) {
+      console.log("Không có nguồn KQXS nào được bật");
+      await recordSkipped("no-source", "Không có nguồn KQXS nào được bật");
+      return null;
+    }
+
+    const drawDate = normalizeDrawDate(options.date);
+    const fetchedList = [];
+    for (const adapter of adapters) {
+      fetchedList.push(await fetchAdapterItems(session, adapter, drawDate));
+    }
+    crossCheckSources(fetchedList);
+
+    const results = [];
+    for (const fetched of fetchedList) {
+      const result = await saveAdapterItems(fetched);
+      await recordCrawlRun(trigger, fetched, result);
+      results.push(result);
+    }
+
+    return {
+      results: results.map(({ items, ...result }) => result),
+      items: results.flatMap((result) => result.items || [])
+    };
+  } catch (err) {
+    console.error("Lỗi crawl:", err.message);
+    await recordSkipped("error", err.message);
+    return null;
+  } finally {
+    await session.close();
+    isCrawling = false;
+  }
+}
+
+function readBackfillJob() {
+  try {
+    return JSON.parse(historyDb.getMeta(BACKFILL_META_KEY) || "null");
+  } catch (_err) {
+    return null;
+  }
+}
+
+function writeBackfillJob(job) {
+  job.updatedAt = new Date().toISOString();
+  historyDb.setMeta(BACKFILL_META_KEY, JSON.stringify(job));
+}
+
+function toBackfillStatus(job) {
+  if (!job) return null;
+  const totalDays = Math.round((Date.parse(job.to) - Date.parse(job.from)) / 86400000) + 1;
+  const doneDays = Math.round((Date.parse(job.cursor) - Date.parse(job.from)) / 86400000);
+  return {
+    ...job,
+    running: Boolean(backfillRun),
+    totalDays,
+    doneDays: Math.min(totalDays, Math.max(0, doneDays))
+  };
+}
+
+// Miền Bắc is stored as one region-wide draw; other regions as one per station.
+function listScheduledStations(region, isoDate) {
+  if (region === "MB") return [REGION_CONFIG.MB.name];
+  return getStationsDrawingOn(isoDate).regions.find((item) => item.region === region).stations;
+}
+
+// Partial live tickets do not count: the day is complete once every
+// scheduled station has its ĐB stored.
+function isRegionDayComplete(region, isoDate) {
+  return listScheduledStations(region, isoDate).every(
+    (station) => historyDb.findDrawByKey(buildDrawKey({ drawDate: isoDate }, station))?.giaiDB
+  );
+}
+
+async function crawlWithRetry(session, adapter, isoDate, job) {
+  let result = null;
+  for (let attempt = 0; attempt <= job.retries; attempt += 1) {
+    if (attempt) {
+      console.log(`Thử lại ${adapter.id} ${isoDate} (lần ${attempt})`);
+      await sleep(job.rateLimitMs * attempt);
+    }
+    result = await crawlAdapter(session, adapter, isoDate, { trigger: "backfill" });
+    if (result.status !== "error") break;
+  }
+  return result;
+}
+
+// The cursor only moves past a day once every region of it is handled, so a
+// restart repeats at most one day and the stored-draw check skips its saves.
+async function runBackfill(job, onProgress) {
+  const run = { stopRequested: false };
+  backfillRun = run;
+  const session = crawlPage.createSession();
+  const report = () => {
+    if (typeof onProgress === "function") onProgress(toBackfillStatus(job));
+  };
+
+  try {
+    const adapters = (await sourceAdapters.loadAdapters()).filter(
+      (adapter) =>
+        adapter.enabled &&
+        job.regions.includes(adapter.region) &&
+        sourceAdapters.hasDatePlaceholder(adapter)
+    );
+    const missing = job.regions.filter((region) => !adapters.some((a) => a.region === region));
+    if (missing.length) {
+      throw new Error(
+        `Chưa có nguồn có ngày trong URL cho ${missing.map((r) => REGION_CONFIG[r].name).join(", ")}`
+      );
+    }
+
+    while (job.cursor <= job.to && !run.stopRequested) {
+      for (const region of job.regions) {
+        if (isRegionDayComplete(region, job.cursor)) {
+          job.stats.skipped += 1;
+          continue;
+        }
+
+        let result = null;
+        for (const adapter of adapters.filter((item) => item.region === region)) {
+          result = await crawlWithRetry(session, adapter, job.cursor, job);
+          await sleep(job.rateLimitMs);
+          if (result.status !== "error" && result.status !== "empty") break;
+        }
+
+        if (result.status === "error") {
+          job.stats.errors += 1;
+          job.lastError = `${job.cursor} ${REGION_CONFIG[region].name}: ${result.error}`;
+        } else if (result.status === "empty") {
+          job.stats.empty += 1;
+        } else {
+          job.stats.saved += result.stations.filter((item) => item.status !== "skipped").length;
+        }
+      }
+
+      job.cursor = addDays(job.cursor, 1);
+      writeBackfillJob(job);
+      report();
+    }
+    job.status = run.stopRequested ? "stopped" : "done";
+  } catch (err) {
+    console.error("Lỗi backfill:", err.message);
+    job.status = "error";
+    job.lastError = err.message;
+  } finally {
+    await session.close().catch((err) => console.error("Lỗi đóng trình duyệt backfill:", err.message));
+    backfillRun = null;
+    writeBackfillJob(job);
+    report();
+  }
+}
+
+// runBackfill is not awaited; a failure to save the final state (e.g. the
+// database was swapped by a restore) must not become an unhandled rejection.
+function launchBackfill(job, onProgress) {
+  runBackfill(job, onProgress).catch((err) => {
+    console.error("Lỗi backfill:", err.message);
+    backfillRun = null;
+    job.status = "error";
+    job.lastError = err.message;
+    try {
+      writeBackfillJob(job);
+    } catch (_err) {
+      // The job stays marked as running and is resumed on the next start.
+    }
+  });
+}
+
+function assertBackfillCanStart() {
+  if (backfillRun) {
+    throw new Error("Đang chạy lấy dữ liệu cũ, hãy dừng trước");
+  }
+  if (isCrawling) {
+    throw new Error("Đang lấy KQXS, hãy thử lại khi xong");
+  }
+  if (liveSessions.size) {
+    throw new Error("Đang quay trực tiếp, hãy dừng trước khi lấy dữ liệu cũ");
+  }
+}
+
+// options: from, to (ISO), regions (["MN", ...]), rateLimitMs between
+// requests and retries per failed page. Progress goes to `onProgress`.
+async function startBackfill(options = {}, onProgress) {
+  await ensureHistoryStore();
+  assertBackfillCanStart();
+
+  const today = toLocalIsoDate(new Date());
+  const from = normalizeDrawDate(options.from);
+  const to = [normalizeDrawDate(options.to) || today, today].sort()[0];
+  if (!from || from > to) {
+    throw new Error("Khoảng ngày không hợp lệ");
+  }
+  const regions = []
+    .concat(options.regions || Object.keys(REGION_CONFIG))
+    .filter((region) => REGION_CONFIG[region]);
+  if (!regions.length) {
+    throw new Error("Chưa chọn miền");
+  }
+
+  const job = {
+    from,
+    to,
+    regions,
+    rateLimitMs: Math.max(500, Number(options.rateLimitMs) || 3000),
+    retries: Math.min(5, Math.max(0, Math.floor(Number(options.retries ?? 2)) || 0)),
+    cursor: from,
+    status: "running",
+    stats: { saved: 0, skipped: 0, empty: 0, errors: 0 },
+    startedAt: new Date().toISOString(),
+    lastError: ""
+  };
+  writeBackfillJob(job);
+  launchBackfill(job, onProgress);
+  return toBackfillStatus(job);
+}
+
+async function resumeBackfill(onProgress) {
+  await ensureHistoryStore();
+  const job = readBackfillJob();
+  if (!job || job.status === "done" || backfillRun) {
+    return toBackfillStatus(job);
+  }
+  assertBackfillCanStart();
+  job.status = "running";
+  writeBackfillJob(job);
+  launchBackfill(job, onProgress);
+  return toBackfillStatus(job);
+}
+
+async function stopBackfill() {
+  if (backfillRun) {
+    backfillRun.stopRequested = true;
+  }
+  return getBackfillStatus();
+}
+
+async function getBackfillStatus() {
+  await ensureHistoryStore();
+  return toBackfillStatus(readBackfillJob());
+}
+
+function toLiveStatus(session) {
+  const { stopRequested, ...status } = session;
+  return { ...status, running: liveSessions.get(session.region) === session };
+}
+
+// Polls until every station's ĐB is out, or LIVE_WINDOW_MINUTES after the
+// region's draw time (counted from now when started later than that).
+async function runLiveDraw(session, onUpdate) {
+  const crawlSession = crawlPage.createSession();
+  const report = (items = []) => {
+    if (typeof onUpdate === "function") onUpdate({ ...toLiveStatus(session), items });
+  };
+
+  try {
+    const adapters = (await sourceAdapters.loadAdapters()).filter(
+      (adapter) => adapter.enabled && adapter.region === session.region
+    );
+    if (!adapters.length) {
+      throw new Error(`Chưa có nguồn KQXS cho ${REGION_CONFIG[session.region].name}`);
+    }
+
+    const [hour, minute] = REGION_CONFIG[session.region].drawTime.split(":").map(Number);
+    const drawStart = new Date();
+    drawStart.setHours(hour, minute, 0, 0);
+    const windowMs = LIVE_WINDOW_MINUTES * 60000;
+    const until = Math.max(drawStart.getTime() + windowMs, Date.now() + windowMs / 2);
+
+    while (!session.stopRequested && Date.now() < until) {
+      const today = toLocalIsoDate(new Date());
+      let result = null;
+      for (const adapter of adapters) {
+        result = await crawlAdapter(crawlSession, adapter, today, { live: true, trigger: "live" });
+        if (result.stations.length) break;
+      }
+
+      session.polls += 1;
+      session.lastPollAt = new Date().toISOString();
+      session.lastError = result.status === "error" ? result.error : "";
+      if (result.stations.length) {
+        session.stations = result.stations.map(({ station, drawDate, prizesFound, final }) => ({
+          station,
+          drawDate,
+          prizesFound,
+          final
+        }));
+      }
+      if (result.status === "inserted" || result.status === "updated") {
+        report(result.items);
+      }
+      if (result.final) {
+        session.final = true;
+        break;
+      }
+      await sleep(session.intervalMs);
+    }
+  } catch (err) {
+    console.error("Lỗi quay trực tiếp:", err.message);
+    session.lastError = err.message;
+  } finally {
+    await crawlSession.close();
+    if (liveSessions.get(session.region) === session) {
+      liveSessions.delete(session.region);
+    }
+    session.endedAt = new Date().toISOString();
+    report();
+  }
+}
+
+async function startLiveDraw(options = {}, onUpdate) {
+  await ensureHistoryStore();
+  const region = REGION_CONFIG[options.region] ? options.region : "MN";
+  if (liveSessions.has(region)) {
+    return toLiveStatus(liveSessions.get(region));
+  }
+  if (backfillRun) {
+    throw new Error("Đang lấy dữ liệu cũ, hãy dừng trước khi quay trực tiếp");
+  }
+  if (isCrawling) {
+    throw new Error("Đang lấy KQXS, hãy thử lại khi xong");
+  }
+
+  const session = {
+    region,
+    intervalMs: Math.max(LIVE_MIN_INTERVAL_MS, Number(options.intervalMs) || 15000),
+    startedAt: new Date().toISOString(),
+    endedAt: "",
+    lastPollAt: "",
+    polls: 0,
+    final: false,
+    stations: [],
+    lastError: "",
+    stopRequested: false
+  };
+  liveSessions.set(region, session);
+  runLiveDraw(session, onUpdate);
+  return toLiveStatus(session);
+}
+
+function stopLiveDraw(region) {
+  const session = liveSessions.get(region);
+  if (session) {
+    session.stopRequested = true;
+  }
+  return getLiveStatus();
+}
+
+function getLiveStatus() {
+  return Array.from(liveSessions.values()).map((session) => toLiveStatus(session));
+}
+
+async function getSourceAdapters() {
+  return {
+    configPath: sourceAdapters.configPath,
+    adapters: await sourceAdapters.loadAdapters()
+  };
+}
+
+async function saveSourceAdapters(adapters) {
+  return {
+    configPath: sourceAdapters.configPath,
+    adapters: await sourceAdapters.saveAdapters(adapters)
+  };
+}
+
+async function resetSourceAdapters() {
+  return {
+    configPath: sourceAdapters.configPath,
+    adapters: await sourceAdapters.resetAdapters()
+  };
+}
+
+async function getCrawlLog(filters = {}) {
+  await ensureHistoryStore();
+  return {
+    runs: crawlLog.listRuns(filters),
+    settings: crawlLog.getSettings(),
+    snapshotDir: crawlLog.snapshotDir
+  };
+}
+
+async function saveCrawlLogSettings(settings = {}) {
+  await ensureHistoryStore();
+  return crawlLog.saveSettings(settings);
+}
+
+async function getCrawlSnapshotPath(fileName) {
+  const filePath = crawlLog.resolveSnapshot(fileName);
+  if (!(await fs.pathExists(filePath))) {
+    throw new Error("Bản lưu trang đã bị xoá");
+  }
+  return filePath;
+}
+
+// `options.verifiedOnly` defaults to the saved stats setting, so every view
+// counts the same draws.
+function toStatsFilters(options = {}) {
+  return {
+    region: options.region,
+    verifiedOnly: options.verifiedOnly ?? historyDb.getMeta(STATS_VERIFIED_META_KEY) === "1"
+  };
+}
+
+async function thongKe(limit = 10, options = {}) {
+  await ensureHistoryStore();
+
+  return historyDb
+    .countTailsByStation(toStatsFilters(options))
+    .slice(0, limit)
+    .map((row) => ({ number: row.number, count: row.count, dai: row.station }));
+}
+
+async function thongKeTheoDai(limit = 10, options = {}) {
+  await ensureHistoryStore();
+
+  const counterByStation = {};
+  historyDb.countTailsByStation(toStatsFilters(options)).forEach((row) => {
+    if (!counterByStation[row.station]) {
+      counterByStation[row.station] = [];
+    }
+    counterByStation[row.station].push({ number: row.number, count: row.count });
+  });
+
+  return Object.entries(counterByStation)
+    .map(([dai, counts]) => ({ dai, top: counts.slice(0, Math.max(1, limit)) }))
+    .filter((item) => item.top.length)
+    .sort((a, b) => a.dai.localeCompare(b.dai, "vi"));
+}
+
+const GAN_PRIZES = ["all", "gdb"];
+
+// "Lô gan": for every tail 00-99 at a station, the draws since it last came
+// out (`gap`) and the longest run of draws without it (`maxGap`), counting
+// the run before its first appearance. A tail never seen has been out for
+// every draw on record.
+async function thongKeGan(options = {}) {
+  await ensureHistoryStore();
+
+  const prize = GAN_PRIZES.includes(options.prize) ? options.prize : "all";
+  const station = options.station ? normalizeStationName(options.station) : "";
+  const limit = Math.max(1, Number.parseInt(options.limit, 10) || 100);
+  const drawsByStation = new Map();
+  historyDb
+    .listTailsByDraw({ ...toStatsFilters(options), station, prize })
+    .forEach((row) => {
+      if (!drawsByStation.has(row.station)) {
+        drawsByStation.set(row.station, { region: row.region, draws: [] });
+      }
+      const { draws } = drawsByStation.get(row.station);
+      let draw = draws[draws.length - 1];
+      if (!draw || draw.id !== row.drawId) {
+        draw = { id: row.drawId, date: row.drawDate, tails: new Set(), prizeCounts: {} };
+        draws.push(draw);
+      }
+      draw.tails.add(row.tail);
+      draw.prizeCounts[row.prizeKey] = (draw.prizeCounts[row.prizeKey] || 0) + 1;
+    });
+
+  return Array.from(drawsByStation.entries())
+    .map(([dai, { region, draws: stationDraws }]) => {
+      // A ticket missing prizes (e.g. a baseline crawl that kept only ĐB, G7
+      // and G8) would count as a draw where most tails did not come out.
+      const template = getPrizeTemplate(region);
+      const isComplete = (draw) =>
+        template.every((cfg) => (draw.prizeCounts[cfg.key] || 0) >= cfg.count);
+      const draws = prize === "gdb" ? stationDraws : stationDraws.filter(isComplete);
+      if (!draws.length) return null;
+      const numbers = Array.from({ length: 100 }, (_value, index) => {
+        const number = String(index).padStart(2, "0");
+        let lastIndex = -1;
+        let maxGap = 0;
+        let count = 0;
+        draws.forEach((draw, drawIndex) => {
+          if (!draw.tails.has(number)) return;
+          maxGap = Math.max(maxGap, drawIndex - lastIndex - 1);
+          lastIndex = drawIndex;
+          count += 1;
+        });
+        const gap = draws.length - lastIndex - 1;
+        return {
+          number,
+          gap,
+          maxGap: Math.max(maxGap, gap),
+          lastSeen: lastIndex >= 0 ? draws[lastIndex].date : "",
+          count
+        };
+      });
+      return {
+        dai,
+        region,
+        prize,
+        draws: draws.length,
+        firstDate: draws[0].date,
+        lastDate: draws[draws.length - 1].date,
+        numbers: numbers
+          .sort((a, b) => b.gap - a.gap || b.maxGap - a.maxGap || a.number.localeCompare(b.number))
+          .slice(0, limit)
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.dai.localeCompare(b.dai, "vi"));
+}
+
+async function getStatsOptions() {
+  await ensureHistoryStore();
+  return { verifiedOnly: historyDb.getMeta(STATS_VERIFIED_META_KEY) === "1" };
+}
+
+async function setStatsOptions(options = {}) {
+  await ensureHistoryStore();
+  historyDb.setMeta(STATS_VERIFIED_META_KEY, options.verifiedOnly ? "1" : "0");
+  return getStatsOptions();
+}
+
+function assignDrawDate(item, reference) {
+  const explicit = normalizeDrawDate(item.ticket?.drawDate || item.drawDate);
+  if (explicit) {
+    const offSchedule = findOffScheduleStations(item.station, explicit);
+    if (offSchedule.length) {
+      const weekday = WEEKDAY_LABELS[getWeekday(explicit)];
+      throw new Error(
+        `Đài ${offSchedule.join(", ")} không quay vào ${weekday} ${formatDisplayDate(explicit)}`
+      );
+    }
+  }
+
+  const drawDate = explicit || inferDrawDate(item.station, reference);
+  item.drawDate = drawDate;
+  if (item.ticket) {
+    item.ticket = { ...item.ticket, drawDate };
+  }
+  return item;
+}
+
+function getPrizeTemplate(region) {
+  return PRIZE_TEMPLATES[region] || SOUTHERN_PRIZE_TEMPLATE;
+}
+
+function getPrizeLabel(key) {
+  return PRIZE_CONFIG.find((cfg) => cfg.key === key)?.label || key;
+}
+
+// Confidence is the share of template slots filled by a number of the right
+// length; surplus numbers count against it.
+function validateTicket(ticket) {
+  if (!ticket || !Array.isArray(ticket.prizes) || !ticket.prizes.length) {
+    return {
+      confidence: 0,
+      warnings: [{ key: "", label: "", type: "unstructured", message: "Không nhận diện được giải nào" }]
+    };
+  }
+
+  const region = ticket.region || "";
+  const template = getPrizeTemplate(region);
+  const regionName = REGION_CONFIG[region]?.name || REGION_CONFIG.MN.name;
+  const warnings = [];
+  let expectedTotal = 0;
+  let validTotal = 0;
+  let surplusTotal = 0;
+
+  template.forEach((cfg) => {
+    const label = getPrizeLabel(cfg.key);
+    const row = ticket.prizes.find((item) => item.key === cfg.key);
+    const numbers = Array.isArray(row?.numbers) ? row.numbers.map((n) => clean(n)) : [];
+    expectedTotal += cfg.count;
+
+    if (!numbers.length) {
+      warnings.push({
+        key: cfg.key,
+        label,
+        type: "missing",
+        expected: cfg.count,
+        actual: 0,
+        message: `${label}: thiếu giải (cần ${cfg.count} số)`
+      });
+      return;
+    }
+
+    if (numbers.length !== cfg.count) {
+      warnings.push({
+        key: cfg.key,
+        label,
+        type: "count",
+        expected: cfg.count,
+        actual: numbers.length,
+        message: `${label}: có ${numbers.length} số, cần ${cfg.count}`
+      });
+    }
+
+    const wrongLength = numbers.filter((n) => n.length !== cfg.digits);
+    if (wrongLength.length) {
+      warnings.push({
+        key: cfg.key,
+        label,
+        type: "digits",
+        expected: cfg.digits,
+        numbers: wrongLength,
+        message: `${label}: ${wrongLength
+          .map((n) => `${n} có ${n.length} chữ số`)
+          .join(", ")}, cần ${cfg.digits}`
+      });
+    }
+
+    const valid = numbers.filter((n) => n.length === cfg.digits).length;
+    validTotal += Math.min(valid, cfg.count);
+    surplusTotal += Math.max(0, numbers.length - cfg.count);
+  });
+
+  ticket.prizes
+    .filter((row) => !template.some((cfg) => cfg.key === row.key))
+    .forEach((row) => {
+      const label = row.label || getPrizeLabel(row.key);
+      surplusTotal += Array.isArray(row.numbers) ? row.numbers.length : 0;
+      warnings.push({
+        key: row.key,
+        label,
+        type: "unexpected",
+        message: `${label}: không có trong cơ cấu giải ${regionName}`
+      });
+    });
+
+  const confidence = expectedTotal ? validTotal / (expectedTotal + surplusTotal) : 0;
+  return {
+    confidence: Math.round(confidence * 100) / 100,
+    warnings
+  };
+}
+
+// `options.html` is the copied markup when available; its result tables are
+// read column by column before falling back to the plain text.
+function buildManualItems(rawText, stationHint, options = {}) {
+  const safeText = String(rawText || "").slice(0, 6000);
+  const tableTickets = options.html
+    ? parseHtmlTickets(options.html, { station: inferStationFromHint(stationHint) })
+    : [];
+  const ticket = tableTickets.length ? null : parseManualKQXS(safeText, stationHint);
+  const numbers = tableTickets.length
+    ? tableTickets.flatMap((item) => item.numbers)
+    : ticket?.numbers || extractNumbers(safeText);
+  if (!numbers.length) {
+    throw new Error("Không tìm thấy số trong nội dung đã copy");
+  }
+
+  const detectedStations = detectStations(safeText, stationHint);
+  const splitTickets = tableTickets.length
+    ? tableTickets
+    : ticket
+      ? splitTicketByStations(ticket, detectedStations)
+      : ticketsFromPrizeOrder(numbers, detectedStations, parseDrawDate(safeText));
+  const nowIso = new Date().toISOString();
+  const safeStationHint =
+    stationHint && typeof stationHint === "object" ? stationHint : null;
+
+  const itemsToSave = splitTickets.length
+    ? splitTickets.map((splitTicket) => ({
+        date: nowIso,
+        source: "manual-scan",
+        rawText: safeText,
+        numbers: splitTicket.numbers,
+        station: normalizeStationName(splitTicket.station),
+        stationHint: safeStationHint,
+        giaiDB: splitTicket.giaiDB || splitTicket.numbers[0] || "",
+        giai7: splitTicket.giai7 || [],
+        giai8: splitTicket.giai8 || [],
+        ticket: splitTicket
+      }))
+    : [
+        {
+          date: nowIso,
+          source: ticket ? "manual-scan" : "manual-copy",
+          rawText: safeText,
+          numbers,
+          station: normalizeStationName(ticket?.station || parseStation(safeText, stationHint)),
+          drawDate: ticket?.drawDate || parseDrawDate(safeText),
+          stationHint: safeStationHint,
+          giaiDB: ticket?.giaiDB || numbers[0] || "",
+          giai7: ticket?.giai7 || [],
+          giai8: ticket?.giai8 || [],
+          ticket: ticket || null
+        }
+      ];
+
+  // `options.reference` dates the draw relative to when the text was saved.
+  const reference = options.reference || new Date();
+  itemsToSave.forEach((item) => assignDrawDate(item, reference));
+  return itemsToSave;
+}
+
+function previewManualCopy(rawText, stationHint, options = {}) {
+  return buildManualItems(rawText, stationHint, options).map((item) => ({
+    station: item.station,
+    drawDate: item.drawDate,
+    region: item.ticket?.region || getStationRegion(item.station),
+    ticket: item.ticket,
+    validation: validateTicket(item.ticket)
+  }));
+}
+
+async function saveManualCopy(rawText, stationHint, options = {}) {
+  const itemsToSave = buildManualItems(rawText, stationHint, options);
+
+  const results = await saveItems(itemsToSave);
+
+  return {
+    items: results.map((result) => result.item),
+    status: summarizeSaveStatus(results),
+    results: results.map(({ item, ...result }) => result)
+  };
+}
+
+// Copied text worth offering to save: a nearly complete ticket for a known
+// station that would add or change a stored draw, so copying an already
+// saved table again stays quiet.
+async function detectClipboardTickets(rawText, options = {}) {
+  await ensureHistoryStore();
+  let items;
+  try {
+    items = buildManualItems(rawText, {}, options);
+  } catch (_err) {
+    return [];
+  }
+  return items
+    .filter(
+      (item) =>
+        item.ticket?.prizes?.length &&
+        (item.station === REGION_CONFIG.MB.name || findCatalogStation(item.station))
+    )
+    .map((item) => ({ item, validation: validateTicket(item.ticket) }))
+    .filter(
+      ({ item, validation }) =>
+        validation.confidence >= CLIPBOARD_MIN_CONFIDENCE && planUpsert(item).status !== "skipped"
+    )
+    .map(({ item, validation }) => ({
+      station: item.station,
+      drawDate: item.drawDate,
+      region: item.ticket.region,
+      validation
+    }));
+}
+
+async function getClipboardWatchSettings() {
+  await ensureHistoryStore();
+  return { enabled: historyDb.getMeta(CLIPBOARD_WATCH_META_KEY) === "1" };
+}
+
+async function saveClipboardWatchSettings(settings = {}) {
+  await ensureHistoryStore();
+  historyDb.setMeta(CLIPBOARD_WATCH_META_KEY, settings.enabled ? "1" : "0");
+  return getClipboardWatchSettings();
+}
+
+function detectVietlottGame(rawText, gameHint) {
+  if (gameHint && VIETLOTT_GAMES[gameHint]) return gameHint;
+  const text = ` ${normalizeTokenText(rawText)} `;
+  const entry = Object.entries(VIETLOTT_GAMES).find(([, cfg]) =>
+    cfg.aliases.some((alias) => text.includes(` ${alias} `))
+  );
+  return entry ? entry[0] : "";
+}
+
+function getVietlottPrizeLabel(game, key) {
+  if (VIETLOTT_GAMES[game]?.type === "lotto") return VIETLOTT_LOTTO_LABELS[key] || key;
+  return MAX3D_PRIZES.find((cfg) => cfg.key === key)?.label || key;
+}
+
+// Dates, draw numbers ("#01234") and money amounts ("15.234.567.890")
+// would otherwise be read as result numbers.
+function stripVietlottNoise(line) {
+  return String(line || "")
+    .replace(/\b\d{4}-\d{1,2}-\d{1,2}\b/g, " ")
+    .replace(/\b\d{1,2}[\/\-.]\d{1,2}[\/\-.]\d{2,4}\b/g, " ")
+    .replace(/#\s*\d+/g, " ")
+    .replace(/\d{1,3}(?:[.,]\d{3})+/g, " ");
+}
+
+function parseVietlottDrawNo(rawText) {
+  const normalized = normalizeVietnamese(rawText);
+  const match =
+    normalized.match(/\bky\s*(?:quay\s*thuong|quay|mo thuong|qt)?\s*(?:so)?\s*[:#]?\s*#?\s*(\d{3,6})\b/) ||
+    normalized.match(/#\s*(\d{3,6})\b/);
+  return match ? String(Number(match[1])).padStart(5, "0") : "";
+}
+
+function parseJackpotAmount(line) {
+  const match = String(line || "").match(/\d{1,3}(?:[.,]\d{3})+/);
+  return match ? Number(clean(match[0])) : null;
+}
+
+// Power 6/55 lists "Jackpot 1" and "Jackpot 2"; the amount may sit on the
+// line after the label in OCR output.
+function parseJackpots(rawText) {
+  const lines = String(rawText || "").split(/\r?\n/);
+  const jackpots = { jackpot1: null, jackpot2: null };
+
+  lines.forEach((line, index) => {
+    const normalized = normalizeVietnamese(line);
+    if (!normalized.includes("jackpot")) return;
+    const amount = parseJackpotAmount(line) ?? parseJackpotAmount(lines[index + 1]);
+    if (amount == null) return;
+    const key = /jackpot\s*2/.test(normalized) ? "jackpot2" : "jackpot1";
+    if (jackpots[key] == null) jackpots[key] = amount;
+  });
+
+  return jackpots;
+}
+
+function toLottoPrizes(tokens, cfg) {
+  const values = tokens.map((token) => Number(token));
+  if (values.some((value) => value < 1 || value > cfg.max)) return null;
+
+  const main = values.slice(0, cfg.pick);
+  if (new Set(main).size !== main.length) return null;
+
+  const prizes = [
+    {
+      key: "main",
+      label: VIETLOTT_LOTTO_LABELS.main,
+      numbers: main.sort((a, b) => a - b).map((value) => padDatePart(value))
+    }
+  ];
+  if (cfg.bonus && values.length > cfg.pick) {
+    prizes.push({
+      key: "bonus",
+      label: VIETLOTT_LOTTO_LABELS.bonus,
+      numbers: [padDatePart(values[cfg.pick])]
+    });
+  }
+  return prizes;
+}
+
+// Prefers one line carrying the whole set (prize tables on result pages
+// also contain small numbers); falls back to digit-only lines for OCR text
+// that puts each ball on its own line.
+function parseLottoPrizes(rawText, cfg) {
+  const expected = cfg.pick + (cfg.bonus ? 1 : 0);
+  const lines = String(rawText || "")
+    .split(/\r?\n/)
+    .filter((line) => !normalizeVietnamese(line).includes("jackpot"))
+    .map((line) => stripVietlottNoise(line));
+
+  for (let index = 0; index < lines.length; index += 1) {
+    const tokens = lines[index].match(/\b\d{1,2}\b/g) || [];
+    if (tokens.length !== cfg.pick && tokens.length !== expected) continue;
+    if (tokens.length === cfg.pick && cfg.bonus) {
+      const next = (lines[index + 1] || "").match(/\b\d{1,2}\b/g) || [];
+      if (next.length === 1) tokens.push(next[0]);
+    }
+    const prizes = toLottoPrizes(tokens, cfg);
+    if (prizes) return prizes;
+  }
+
+  const looseTokens = lines
+    .filter((line) => !/[a-z]/i.test(normalizeVietnamese(line)))
+    .flatMap((line) => line.match(/\b\d{1,2}\b/g) || []);
+  if (looseTokens.length === cfg.pick || looseTokens.length === expected) {
+    return toLottoPrizes(looseTokens, cfg);
+  }
+  return null;
+}
+
+function parseMax3DPrizes(rawText) {
+  const rows = MAX3D_PRIZES.map((cfg) => ({ key: cfg.key, label: cfg.label, numbers: [] }));
+  const unlabeled = [];
+  let current = null;
+
+  String(rawText || "")
+    .split(/\r?\n/)
+    .forEach((line) => {
+      const normalized = ` ${normalizeTokenText(line)} `;
+      // Max 3D Pro repeats the ĐB numbers as "phụ ĐB"; they are not new results.
+      if (/ phu (dac biet|db) /.test(normalized)) {
+        current = null;
+        return;
+      }
+      const prize = MAX3D_PRIZES.find((cfg) =>
+        cfg.aliases.some((alias) => normalized.includes(` ${alias} `))
+      );
+      if (prize) current = rows.find((row) => row.key === prize.key);
+
+      const numbers = stripVietlottNoise(line).match(/\b\d{3}\b/g) || [];
+      if (current) current.numbers.push(...numbers);
+      else unlabeled.push(...numbers);
+    });
+
+  const total = MAX3D_PRIZES.reduce((sum, cfg) => sum + cfg.count, 0);
+  if (!rows.some((row) => row.numbers.length) && unlabeled.length === total) {
+    let offset = 0;
+    rows.forEach((row, index) => {
+      row.numbers = unlabeled.slice(offset, offset + MAX3D_PRIZES[index].count);
+      offset += MAX3D_PRIZES[index].count;
+    });
+  }
+
+  const filled = rows.filter((row) => row.numbers.length);
+  return filled.length ? filled : null;
+}
+
+function parseVietlott(rawText, gameHint) {
+  const game = detectVietlottGame(rawText, gameHint);
+  if (!game) return null;
+
+  const cfg = VIETLOTT_GAMES[game];
+  const prizes = cfg.type === "lotto" ? parseLottoPrizes(rawText, cfg) : parseMax3DPrizes(rawText);
+  const jackpots = cfg.type === "lotto" ? parseJackpots(rawText) : { jackpot1: null, jackpot2: null };
+
+  return {
+    game,
+    gameName: cfg.name,
+    drawNo: parseVietlottDrawNo(rawText),
+    drawDate: parseDrawDate(rawText),
+    jackpot1: jackpots.jackpot1,
+    jackpot2: cfg.bonus ? jackpots.jackpot2 : null,
+    prizes: prizes || []
+  };
+}
+
+function validateVietlottDraw(draw) {
+  const cfg = VIETLOTT_GAMES[draw?.game];
+  if (!cfg || !Array.isArray(draw.prizes) || !draw.prizes.length) {
+    return {
+      confidence: 0,
+      warnings: [{ key: "", label: "", type: "unstructured", message: "Không nhận diện được bộ số" }]
+    };
+  }
+
+  const template =
+    cfg.type === "lotto"
+      ? [
+          { key: "main", count: cfg.pick, digits: 2 },
+          ...(cfg.bonus ? [{ key: "bonus", count: 1, digits: 2 }] : [])
+        ]
+      : MAX3D_PRIZES.map((prize) => ({ key: prize.key, count: prize.count, digits: 3 }));
+  const warnings = [];
+  let expectedTotal = 0;
+  let validTotal = 0;
+
+  template.forEach((slot) => {
+    const label = getVietlottPrizeLabel(draw.game, slot.key);
+    const numbers = draw.prizes.find((row) => row.key === slot.key)?.numbers || [];
+    expectedTotal += slot.count;
+    if (!numbers.length) {
+      warnings.push({
+        key: slot.key,
+        label,
+        type: "missing",
+        expected: slot.count,
+        actual: 0,
+        message: `${label}: thiếu (cần ${slot.count} số)`
+      });
+      return;
+    }
+    if (numbers.length !== slot.count) {
+      warnings.push({
+        key: slot.key,
+        label,
+        type: "count",
+        expected: slot.count,
+        actual: numbers.length,
+        message: `${label}: có ${numbers.length} số, cần ${slot.count}`
+      });
+    }
+    validTotal += Math.min(numbers.filter((n) => n.length === slot.digits).length, slot.count);
+  });
+
+  return {
+    confidence: Math.round((expectedTotal ? validTotal / expectedTotal : 0) * 100) / 100,
+    warnings
+  };
+}
+
+function buildVietlottItem(rawText, gameHint, reference = new Date()) {
+  const safeText = String(rawText || "").slice(0, 6000);
+  const draw = parseVietlott(safeText, gameHint);
+  if (!draw) {
+    throw new Error("Không nhận diện được loại vé Vietlott");
+  }
+  if (!draw.prizes.length) {
+    throw new Error(`Không tìm thấy kết quả ${draw.gameName} trong nội dung đã copy`);
+  }
+
+  const cfg = VIETLOTT_GAMES[draw.game];
+  if (draw.drawDate && !cfg.days.includes(getWeekday(draw.drawDate))) {
+    const weekday = WEEKDAY_LABELS[getWeekday(draw.drawDate)];
+    throw new Error(
+      `${cfg.name} không quay vào ${weekday} ${formatDisplayDate(draw.drawDate)}`
+    );
+  }
+
+  const drawDate = draw.drawDate || findLatestDrawDate(cfg.days, [VIETLOTT_DRAW_TIME], reference);
+  return {
+    ...draw,
+    drawDate,
+    drawKey: drawDate ? `${draw.game}|${drawDate}` : "",
+    date: new Date().toISOString(),
+    source: "manual-scan",
+    rawText: safeText
+  };
+}
+
+function withVietlottLabels(draw) {
+  return {
+    ...draw,
+    gameName: VIETLOTT_GAMES[draw.game]?.name || draw.game,
+    prizes: draw.prizes.map((row) => ({
+      ...row,
+      label: getVietlottPrizeLabel(draw.game, row.key)
+    }))
+  };
+}
+
+function toVietlottSaveResult(status, item, discrepancies = []) {
+  return {
+    status,
+    id: item.id,
+    drawKey: item.drawKey || "",
+    game: item.game,
+    drawNo: item.drawNo || "",
+    drawDate: item.drawDate || "",
+    discrepancies,
+    item
+  };
+}
+
+// Same identity rules as KQXS draws: one draw per game and date, prize rows
+// merged, conflicting numbers reported instead of overwritten.
+function upsertVietlottDraw(incoming) {
+  const existing = incoming.drawKey ? historyDb.findVietlottDrawByKey(incoming.drawKey) : null;
+  if (!existing) {
+    const id = historyDb.insertVietlottDraw(incoming);
+    return toVietlottSaveResult("inserted", { ...incoming, id });
+  }
+
+  const stored = withVietlottLabels(existing);
+  const { merged, discrepancies, changed } = mergePrizeRows(stored.prizes, incoming.prizes);
+  if (discrepancies.length) {
+    return toVietlottSaveResult("skipped", stored, discrepancies);
+  }
+
+  const updated = {
+    ...incoming,
+    drawNo: incoming.drawNo || stored.drawNo,
+    jackpot1: incoming.jackpot1 ?? stored.jackpot1,
+    jackpot2: incoming.jackpot2 ?? stored.jackpot2,
+    prizes: merged
+  };
+  const detailsChanged = ["drawNo", "jackpot1", "jackpot2"].some(
+    (key) => (updated[key] ?? null) !== (stored[key] ?? null)
+  );
+  if (!changed && !detailsChanged) {
+    return toVietlottSaveResult("skipped", stored);
+  }
+
+  historyDb.updateVietlottDraw(existing.id, updated);
+  return toVietlottSaveResult("updated", { ...updated, id: existing.id });
+}
+
+function previewVietlott(rawText, gameHint) {
+  const item = buildVietlottItem(rawText, gameHint);
+  return { ...withVietlottLabels(item), validation: validateVietlottDraw(item) };
+}
+
+async function saveVietlott(rawText, gameHint) {
+  return enqueueWrite(async () => {
+    await ensureHistoryStore();
+    const item = buildVietlottItem(rawText, gameHint);
+    const { item: saved, ...result } = upsertVietlottDraw(item);
+    return { ...result, item: withVietlottLabels(saved), validation: validateVietlottDraw(item) };
+  });
+}
+
+function requireVietlottGame(game) {
+  if (!VIETLOTT_GAMES[game]) {
+    throw new Error("Loại vé Vietlott không hợp lệ");
+  }
+  return VIETLOTT_GAMES[game];
+}
+
+async function getVietlottHistory(game, limit = 50) {
+  requireVietlottGame(game);
+  await ensureHistoryStore();
+  return historyDb.listVietlottDraws(game, Math.max(1, limit)).map(withVietlottLabels);
+}
+
+// Lotto frequency lists every ball from 01 so numbers never drawn show up too.
+async function thongKeVietlott(game, options = {}) {
+  const cfg = requireVietlottGame(game);
+  await ensureHistoryStore();
+
+  const counts = historyDb.countVietlottNumbers(game);
+  const toFrequency = (rows) => {
+    const counter = new Map(rows.map((row) => [row.number, 0]));
+    rows.forEach((row) => counter.set(row.number, counter.get(row.number) + row.count));
+    return [...counter.entries()]
+      .map(([number, count]) => ({ number, count }))
+      .sort((a, b) => b.count - a.count || a.number.localeCompare(b.number));
+  };
+
+  const mainRows = counts.filter((row) => row.prizeKey !== "bonus");
+  const balls =
+    cfg.type === "lotto"
+      ? Array.from({ length: cfg.max }, (_, index) => ({
+          number: padDatePart(index + 1),
+          count: 0
+        }))
+      : [];
+
+  return {
+    game,
+    gameName: cfg.name,
+    totalDraws: historyDb.countVietlottDraws(game),
+    frequency: toFrequency([...balls, ...mainRows]),
+    bonusFrequency: cfg.bonus
+      ? toFrequency(counts.filter((row) => row.prizeKey === "bonus"))
+      : [],
+    pairs: historyDb
+      .countVietlottPairs(game, options.pairLimit || 20)
+      .map((row) => ({ pair: [row.first, row.second], count: row.count })),
+    jackpots: cfg.type === "lotto" ? historyDb.listVietlottJackpots(game) : []
+  };
+}
+
+async function getHistory(limit = 50) {
+  await ensureHistoryStore();
+  return historyDb.listDraws(Math.max(1, limit));
+}
+
+// `query` takes the export filters plus source (one or a list), number,
+// sort ("drawDate", "savedAt", "station"; default newest saved first),
+// order, limit and the cursor returned by the previous page.
+async function queryHistory(query = {}) {
+  await ensureHistoryStore();
+  const sources = []
+    .concat(query.source || [])
+    .map((source) => cleanWhitespace(source))
+    .filter(Boolean);
+  return historyDb.queryDraws({
+    ...toHistoryFilters(query),
+    sources,
+    verifyStatus: { verified: "verified", conflict: "conflict", unverified: "" }[query.verification],
+    number: query.number,
+    sort: query.sort,
+    order: query.order,
+    limit: query.limit,
+    cursor: query.cursor
+  });
+}
+
+async function clearHistory() {
+  return enqueueWrite(async () => {
+    await ensureHistoryStore();
+    historyDb.createBackup("clear");
+    historyDb.clearDraws();
+    return true;
+  });
+}
+
+async function getStoreInfo() {
+  await ensureHistoryStore();
+  return {
+    schemaVersion: historyDb.getSchemaVersion(),
+    dataVersion: Number(historyDb.getMeta(DATA_VERSION_META_KEY)) || 0,
+    draws: historyDb.countDraws(),
+    backupDir: historyDb.backupDir,
+    backups: historyDb.listBackups(),
+    recovery: historyDb.getLastRecovery()
+  };
+}
+
+async function createBackup() {
+  return enqueueWrite(async () => {
+    await ensureHistoryStore();
+    return historyDb.createBackup("manual");
+  });
+}
+
+async function restoreBackup(fileName) {
+  return enqueueWrite(async () => {
+    await ensureHistoryStore();
+    storeReady = null;
+    const backup = historyDb.restoreBackup(String(fileName || ""));
+    await ensureHistoryStore();
+    return backup;
+  });
+}
+
+async function findActiveEntry(id) {
+  await ensureHistoryStore();
+  const existing = historyDb.findDrawById(id);
+  if (!existing || existing.deletedAt) {
+    throw new Error("Không tìm thấy kết quả trong lịch sử");
+  }
+  return existing;
+}
+
+function toEditedPrizeRows(prizes) {
+  const order = PRIZE_CONFIG.map((cfg) => cfg.key);
+  return prizes
+    .map((row) => {
+      const key = String(row?.key || "");
+      if (!order.includes(key)) {
+        throw new Error(`Giải không hợp lệ: ${key || "(trống)"}`);
+      }
+      const numbers = (Array.isArray(row?.numbers) ? row.numbers : []).map((n) => clean(n)).filter(Boolean);
+      return { key, label: getPrizeLabel(key), numbers };
+    })
+    .filter((row) => row.numbers.length)
+    .sort((a, b) => order.indexOf(a.key) - order.indexOf(b.key));
+}
+
+// `changes` may carry station, drawDate, specialCodes and prizes
+// ([{ key, numbers }]); omitted fields keep their stored value.
+async function updateEntry(id, changes = {}) {
+  return enqueueWrite(async () => {
+    const existing = await findActiveEntry(id);
+
+    const station =
+      changes.station != null ? normalizeStationName(changes.station) : existing.station;
+    let drawDate = existing.ticket?.drawDate || existing.drawDate;
+    if (changes.drawDate != null) {
+      drawDate = normalizeDrawDate(changes.drawDate);
+      if (!drawDate) {
+        throw new Error("Ngày quay không hợp lệ");
+      }
+    }
+
+    const region = getStationRegion(station) || existing.region;
+    const rows = Array.isArray(changes.prizes)
+      ? toEditedPrizeRows(changes.prizes)
+      : existing.ticket?.prizes || null;
+    const item = { ...existing, station, region, drawDate };
+
+    if (rows) {
+      if (!rows.length) {
+        throw new Error("Kết quả phải có ít nhất một giải");
+      }
+      const specialCodes = Array.isArray(changes.specialCodes)
+        ? changes.specialCodes.map((code) => cleanWhitespace(code)).filter(Boolean)
+        : existing.ticket?.specialCodes || [];
+      const ticket = buildTicketFromRows({ station, drawDate, region, specialCodes }, rows);
+      Object.assign(item, {
+        ticket,
+        numbers: ticket.numbers,
+        giaiDB: ticket.giaiDB,
+        giai7: ticket.giai7,
+        giai8: ticket.giai8
+      });
+    }
+
+    assignDrawDate(item, existing.date);
+    const stored = toStoredItem(item);
+    const clash = historyDb.findDrawByKey(stored.drawKey);
+    if (clash && clash.id !== existing.id) {
+      throw new Error(
+        `Đã có kết quả ${stored.station} ngày ${formatDisplayDate(item.drawDate)} trong lịch sử`
+      );
+    }
+
+    // Edits overwrite the draw in place and never reach the recycle bin.
+    historyDb.createBackup("edit");
+    historyDb.updateDraw(existing.id, stored);
+    const saved = historyDb.findDrawById(existing.id);
+    return { item: saved, validation: validateTicket(saved.ticket) };
+  });
+}
+
+// `choices` maps each conflicting prize key to the index of the version the
+// user picked; the draw is then stored as verified.
+async function resolveConflict(id, choices = {}) {
+  return enqueueWrite(async () => {
+    const existing = await findActiveEntry(id);
+    const verification = existing.verification;
+    if (verification?.status !== "conflict" || !existing.ticket) {
+      throw new Error("Kết quả này không có xung đột cần xử lý");
+    }
+
+    const rows = existing.ticket.prizes.map((row) => ({ ...row, numbers: [...row.numbers] }));
+    verification.conflicts.forEach((conflict) => {
+      const version = conflict.versions[Number(choices[conflict.key])];
+      if (!version) {
+        throw new Error(`Chưa chọn kết quả đúng cho giải ${conflict.label}`);
+      }
+      const row = rows.find((item) => item.key === conflict.key);
+      if (row) {
+        row.numbers = [...version.numbers];
+      } else {
+        rows.push({ key: conflict.key, numbers: [...version.numbers] });
+      }
+    });
+
+    const prizes = toEditedPrizeRows(rows);
+    if (!prizes.length) {
+      throw new Error("Kết quả phải có ít nhất một giải");
+    }
+    const ticket = buildTicketFromRows(
+      {
+        station: existing.ticket.station,
+        drawDate: existing.ticket.drawDate,
+        region: existing.ticket.region,
+        specialCodes: existing.ticket.specialCodes
+      },
+      prizes
+    );
+    const item = {
+      ...existing,
+      ticket,
+      numbers: ticket.numbers,
+      giaiDB: ticket.giaiDB,
+      giai7: ticket.giai7,
+      giai8: ticket.giai8,
+      verification: { ...verification, status: "verified", resolvedAt: new Date().toISOString() }
+    };
+    historyDb.createBackup("edit");
+    historyDb.updateDraw(existing.id, toStoredItem(item));
+    const saved = historyDb.findDrawById(existing.id);
+    return { item: saved, validation: validateTicket(saved.ticket) };
+  });
+}
+
+async function deleteEntries(ids) {
+  return enqueueWrite(async () => {
+    await ensureHistoryStore();
+    const list = (Array.isArray(ids) ? ids : [ids]).map((id) => Number(id)).filter(Boolean);
+    if (!list.length) {
+      throw new Error("Chưa chọn kết quả cần xoá");
+    }
+    return historyDb.softDeleteDraws(list);
+  });
+}
+
+async function getDeletedEntries(limit = 100) {
+  await ensureHistoryStore();
+  return historyDb.listDeletedDraws(limit);
+}
+
+async function restoreEntry(id) {
+  return enqueueWrite(async () => {
+    await ensureHistoryStore();
+    const existing = historyDb.findDrawById(id);
+    if (!existing || !existing.deletedAt) {
+      throw new Error("Không tìm thấy kết quả trong thùng rác");
+    }
+
+    const drawKey = buildDrawKey(existing, existing.station);
+    if (drawKey && historyDb.findDrawByKey(drawKey)) {
+      throw new Error(
+        `Lịch sử đã có kết quả ${existing.station} ngày ${formatDisplayDate(
+          existing.drawDate
+        )}, hãy xoá bản đó trước khi khôi phục`
+      );
+    }
+
+    historyDb.restoreDraw(existing.id, drawKey);
+    return historyDb.findDrawById(existing.id);
+  });
+}
+
+async function purgeDeletedEntries(ids) {
+  return enqueueWrite(async () => {
+    await ensureHistoryStore();
+    historyDb.createBackup("purge");
+    return historyDb.purgeDeletedDraws(Array.isArray(ids) ? ids : undefined);
+  });
+}
+
+function toExportRows(item) {
+  const base = {
+    draw_date: item.drawDate,
+    region: item.region,
+    station: item.station,
+    special_codes: (item.ticket?.specialCodes || []).join(" "),
+    source: item.source
+  };
+  if (Array.isArray(item.ticket?.prizes) && item.ticket.prizes.length) {
+    return item.ticket.prizes.flatMap((row) =>
+      row.numbers.map((number, index) => ({
+        ...base,
+        prize: row.key,
+        prize_label: row.label,
+        position: index + 1,
+        number
+      }))
+    );
+  }
+  return (item.numbers || []).map((number, index) => ({
+    ...base,
+    prize: "",
+    prize_label: "",
+    position: index + 1,
+    number
+  }));
+}
+
+function toExportedDraw(item) {
+  const hasTicket = Array.isArray(item.ticket?.prizes);
+  return {
+    station: item.station,
+    region: item.region,
+    drawDate: item.drawDate,
+    source: item.source,
+    specialCodes: item.ticket?.specialCodes || [],
+    prizes: hasTicket ? item.ticket.prizes : [],
+    numbers: hasTicket ? [] : item.numbers
+  };
+}
+
+function toHistoryFilters(options = {}) {
+  return {
+    from: normalizeDrawDate(options.from),
+    to: normalizeDrawDate(options.to),
+    region: REGION_CONFIG[options.region] ? options.region : "",
+    station: cleanWhitespace(options.station) ? normalizeStationName(options.station) : ""
+  };
+}
+
+async function exportHistory(filePath, options = {}) {
+  await ensureHistoryStore();
+  const format = historyTransfer.detectFormat(filePath, options.format);
+  const filters = toHistoryFilters(options);
+  const items = historyDb.listDrawsInRange(filters);
+
+  if (format === "json") {
+    const payload = {
+      format: "kqxs-history",
+      version: 1,
+      exportedAt: new Date().toISOString(),
+      filters,
+      draws: items.map(toExportedDraw)
+    };
+    await historyTransfer.writeAtomically(filePath, (tempPath) =>
+      fs.writeJson(tempPath, payload, { spaces: 2 })
+    );
+    return { filePath, format, draws: items.length, rows: items.length };
+  }
+
+  const rows = items.flatMap(toExportRows);
+  await historyTransfer.writeTable(filePath, format, rows);
+  return { filePath, format, draws: items.length, rows: rows.length };
+}
+
+function resolveImportPrizeKey(value) {
+  const raw = cleanWhitespace(value);
+  if (!raw) return "";
+  const direct = PRIZE_CONFIG.find((cfg) => cfg.key === raw.toLowerCase());
+  return direct ? direct.key : detectPrizeKey(raw);
+}
+
+// Spreadsheets drop leading zeros ("05" becomes 5), so numbers are padded
+// back to the prize's length in the region template.
+function padImportNumber(number, key, region) {
+  const digits = getPrizeTemplate(region).find((cfg) => cfg.key === key)?.digits;
+  return digits && number.length < digits ? number.padStart(digits, "0") : number;
+}
+
+function toImportItem(draw, nowIso) {
+  const station = normalizeStationName(draw.station);
+  const drawDate = normalizeDrawDate(draw.drawDate);
+  const region = REGION_CONFIG[draw.region] ? draw.region : getStationRegion(station);
+  const prizes = (Array.isArray(draw.prizes) ? draw.prizes : [])
+    .map((row) => {
+      const key = resolveImportPrizeKey(row?.key || row?.label);
+      const numbers = (Array.isArray(row?.numbers) ? row.numbers : [])
+        .map((n) => padImportNumber(clean(n), key, region))
+        .filter(Boolean);
+      return { key, label: getPrizeLabel(key), numbers };
+    })
+    .filter((row) => row.key && row.numbers.length);
+  const order = PRIZE_CONFIG.map((cfg) => cfg.key);
+  prizes.sort((a, b) => order.indexOf(a.key) - order.indexOf(b.key));
+
+  const ticket = prizes.length
+    ? buildTicketFromRows({ station, drawDate, region, specialCodes: draw.specialCodes }, prizes)
+    : null;
+  const numbers = ticket
+    ? ticket.numbers
+    : (Array.isArray(draw.numbers) ? draw.numbers : []).map((n) => clean(n)).filter(Boolean);
+
+  return {
+    date: nowIso,
+    source: cleanWhitespace(draw.source) || "import",
+    rawText: "",
+    numbers,
+    station,
+    region,
+    drawDate,
+    giaiDB: ticket?.giaiDB || "",
+    giai7: ticket?.giai7 || [],
+    giai8: ticket?.giai8 || [],
+    ticket
+  };
+}
+
+function groupImportRows(rows) {
+  const errors = [];
+  const groups = new Map();
+
+  rows.forEach((row) => {
+    const number = clean(row.number);
+    const drawDate = normalizeDrawDate(row.draw_date);
+    const key = resolveImportPrizeKey(row.prize || row.prize_label);
+    if (!number) {
+      errors.push({ row: row.rowNumber, message: "Thiếu số" });
+      return;
+    }
+    if (!drawDate) {
+      errors.push({ row: row.rowNumber, message: `Ngày quay không hợp lệ: ${row.draw_date || "(trống)"}` });
+      return;
+    }
+    if ((row.prize || row.prize_label) && !key) {
+      errors.push({ row: row.rowNumber, message: `Giải không hợp lệ: ${row.prize || row.prize_label}` });
+      return;
+    }
+
+    const station = normalizeStationName(row.station);
+    const groupKey = `${station}|${drawDate}`;
+    if (!groups.has(groupKey)) {
+      groups.set(groupKey, {
+        station,
+        drawDate,
+        region: row.region,
+        source: row.source,
+        specialCodes: cleanWhitespace(row.special_codes).split(/[\s,]+/).filter(Boolean),
+        rowNumber: row.rowNumber,
+        prizes: new Map(),
+        numbers: []
+      });
+    }
+
+    const group = groups.get(groupKey);
+    const entry = { position: Number(row.position) || 0, number };
+    if (!key) {
+      group.numbers.push(entry);
+      return;
+    }
+    if (!group.prizes.has(key)) group.prizes.set(key, []);
+    group.prizes.get(key).push(entry);
+  });
+
+  const byPosition = (entries) =>
+    [...entries].sort((a, b) => a.position - b.position).map((entry) => entry.number);
+  const draws = [...groups.values()].map((group) => ({
+    ...group,
+    prizes: [...group.prizes.entries()].map(([key, entries]) => ({ key, numbers: byPosition(entries) })),
+    numbers: byPosition(group.numbers)
+  }));
+  return { draws, errors };
+}
+
+async function readImportDraws(filePath, format) {
+  if (format !== "json") {
+    return groupImportRows(await historyTransfer.readTable(filePath, format));
+  }
+
+  const data = await fs.readJson(filePath);
+  if (Array.isArray(data?.draws)) {
+    return { draws: data.draws, errors: [] };
+  }
+  // Plain arrays are history.json backups; their items are saved as they are.
+  if (Array.isArray(data)) {
+    return { draws: data.filter((item) => item && typeof item === "object"), errors: [], legacy: true };
+  }
+  throw new Error("File JSON không đúng định dạng lịch sử KQXS");
+}
+
+function toImportStatus(status, discrepancies) {
+  if (status === "inserted") return "new";
+  if (status === "updated") return "update";
+  return discrepancies?.length ? "conflict" : "duplicate";
+}
+
+// With `dryRun` nothing is written; each draw reports whether it would be
+// new, update a stored draw, duplicate one, or conflict with it.
+async function importHistoryFile(filePath, options = {}) {
+  return enqueueWrite(async () => {
+    await ensureHistoryStore();
+    const format = historyTransfer.detectFormat(filePath, options.format);
+    const { draws, errors, legacy } = await readImportDraws(filePath, format);
+    const nowIso = new Date().toISOString();
+
+    const items = [];
+    draws.forEach((draw, index) => {
+      try {
+        const item = legacy
+          ? { ...draw, station: guessLegacyStation(draw) }
+          : toImportItem(draw, nowIso);
+        if (!item.numbers?.length && !item.giaiDB) {
+          throw new Error("Không có số nào");
+        }
+        if (!legacy) assignDrawDate(item, nowIso);
+        items.push(item);
+      } catch (err) {
+        errors.push({ row: draw.rowNumber || index + 1, message: `${draw.station || UNKNOWN_STATION}: ${err.message}` });
+      }
+    });
+
+    const { summary, results } = runImportItems(items, errors, draws.length, options);
+    return { dryRun: Boolean(options.dryRun), filePath, format, summary, results, errors };
+  });
+}
+
+// A dry run plans every item against the store; a real run backs up first
+// and upserts them in one transaction. Callers hold the write queue.
+function runImportItems(items, errors, total, options = {}) {
+  if (!options.dryRun && items.length) {
+    historyDb.createBackup("import");
+  }
+
+  const seenKeys = new Set();
+  const outcomes = options.dryRun
+    ? items.map((item) => {
+        const plan = planUpsert(item);
+        if (plan.item.drawKey && seenKeys.has(plan.item.drawKey)) {
+          return { ...plan, status: "skipped", discrepancies: [], inFile: true };
+        }
+        seenKeys.add(plan.item.drawKey);
+        return { ...plan, item: plan.status === "skipped" ? toStoredItem(item) : plan.item };
+      })
+    : historyDb.runInTransaction(() => items.map((item) => upsertDraw(item)));
+
+  const results = outcomes.map((outcome) => ({
+    station: outcome.item.station,
+    drawDate: outcome.item.ticket?.drawDate || outcome.item.drawDate || "",
+    region: outcome.item.region || "",
+    numbers: (outcome.item.numbers || []).length,
+    status: toImportStatus(outcome.status, outcome.discrepancies),
+    inFile: Boolean(outcome.inFile),
+    discrepancies: outcome.discrepancies || [],
+    validation: validateTicket(outcome.item.ticket)
+  }));
+  const summary = { total, new: 0, update: 0, duplicate: 0, conflict: 0, invalid: errors.length };
+  results.forEach((result) => {
+    summary[result.status] += 1;
+  });
+  return { summary, results };
+}
+
+// A station/date split over several pages keeps the first page's rows and
+// takes missing prizes from later pages.
+function mergePageTickets(ticket, extra) {
+  const prizes = PRIZE_CONFIG.map(
+    (cfg) =>
+      ticket.prizes.find((row) => row.key === cfg.key) || extra.prizes.find((row) => row.key === cfg.key)
+  ).filter(Boolean);
+  return buildTicketFromRows(
+    { ...ticket, specialCodes: ticket.specialCodes.length ? ticket.specialCodes : extra.specialCodes },
+    prizes
+  );
+}
+
+// PDF result sheets, photos and text files. Every page goes through the
+// manual parser and yields one item per station and date; the report has
+// the importHistoryFile shape with page numbers in place of row numbers.
+async function importResultFile(filePath, options = {}) {
+  // Required on first use, like localOcr in main.js: startup must not
+  // depend on the PDF and OCR engines.
+  const fileImport = require("./fileImport");
+  const { kind, pages } = await fileImport.readFilePages(filePath);
+  return enqueueWrite(async () => {
+    await ensureHistoryStore();
+    const stationHint = { title: path.basename(filePath, path.extname(filePath)) };
+    const errors = [];
+    const entries = new Map();
+
+    pages.forEach((page) => {
+      try {
+        const tickets = buildManualItems(page.text, stationHint).filter((item) => item.ticket?.prizes?.length);
+        if (!tickets.length) {
+          throw new Error("Không nhận ra bảng giải KQXS");
+        }
+        tickets.forEach((item) => {
+          const key = `${item.station}|${item.drawDate}`;
+          const found = entries.get(key);
+          if (found) {
+            found.item.ticket = mergePageTickets(found.item.ticket, item.ticket);
+            found.item.rawText = `${found.item.rawText}\n${item.rawText}`.slice(0, 6000);
+            found.pages.push(page.page);
+          } else {
+            entries.set(key, { item: { ...item, source: options.source || "file-import" }, pages: [page.page] });
+          }
+        });
+      } catch (err) {
+        errors.push({ row: page.page, message: err.message });
+      }
+    });
+
+    const items = Array.from(entries.values()).map(({ item }) => ({
+      ...item,
+      numbers: item.ticket.numbers,
+      giaiDB: item.ticket.giaiDB,
+      giai7: item.ticket.giai7,
+      giai8: item.ticket.giai8
+    }));
+    const { summary, results } = runImportItems(items, errors, items.length + errors.length, options);
+    const pageLists = Array.from(entries.values()).map((entry) => entry.pages);
+    return {
+      dryRun: Boolean(options.dryRun),
+      filePath,
+      format: kind,
+      pages: pages.map((page) => ({ page: page.page, method: page.method })),
+      summary,
+      results: results.map((result, index) => ({ ...result, pages: pageLists[index] })),
+      errors
+    };
+  });
+}
+
+function readWatchFolders() {
+  try {
+    const folders = JSON.parse(historyDb.getMeta(WATCH_FOLDERS_META_KEY) || "[]");
+    return Array.isArray(folders) ? folders.map(String) : [];
+  } catch (_err) {
+    return [];
+  }
+}
+
+// Anything short of a clean import is worth a look: failed or unreadable
+// pages, no ticket at all, or tickets that clash with stored ones.
+function describeImportProblems(report) {
+  const problems = report.errors.map((error) => `Trang ${error.row}: ${error.message}`);
+  report.results
+    .filter((result) => result.status === "conflict")
+    .forEach((result) => problems.push(`${result.station} ${result.drawDate}: khác bản đã lưu`));
+  if (!report.results.length && !problems.length) {
+    problems.push("Không nhận ra bảng giải KQXS");
+  }
+  return problems.join("; ");
+}
+
+function countSavedResults(report) {
+  return report
+    ? report.results.filter((result) => result.status === "new" || result.status === "update").length
+    : 0;
+}
+
+function importWatchedFile(filePath) {
+  return importResultFile(filePath, { dryRun: false, source: "folder-import" });
+}
+
+async function handleWatchedFile({ folder, fileName, archivedPath, result, error }) {
+  const saved = countSavedResults(result);
+  const problem = error ? error.message : describeImportProblems(result);
+  if (problem) {
+    historyDb.insertImportQueue({ folder, fileName, filePath: archivedPath, error: problem, saved });
+  }
+  hotFolders?.onImport({ folder, fileName, saved, error: problem });
+}
+
+function toFolderWatchStatus() {
+  const status = hotFolders?.watcher ? hotFolders.watcher.status() : { errors: [], pending: 0 };
+  return {
+    folders: readWatchFolders(),
+    watching: Boolean(hotFolders?.watcher),
+    archiveDirName: folderWatch.ARCHIVE_DIR_NAME,
+    errors: status.errors,
+    pending: status.pending,
+    queued: historyDb.listImportQueue().length
+  };
+}
+
+// New PDFs, photos and text files dropped into a watched folder are saved
+// with source "folder-import" and then moved to its archive subfolder;
+// files that need a look also land in the import queue. `onImport` hears
+// about every processed file.
+async function startFolderWatch(onImport) {
+  await ensureHistoryStore();
+  if (hotFolders?.watcher) {
+    await hotFolders.watcher.close();
+  }
+  const folders = readWatchFolders();
+  hotFolders = {
+    onImport: typeof onImport === "function" ? onImport : () => {},
+    watcher: folders.length
+      ? folderWatch.createFolderWatcher(folders, {
+          processFile: importWatchedFile,
+          onProcessed: handleWatchedFile
+        })
+      : null
+  };
+  return toFolderWatchStatus();
+}
+
+async function stopFolderWatch() {
+  if (hotFolders?.watcher) {
+    await hotFolders.watcher.close();
+  }
+  hotFolders = null;
+}
+
+async function getFolderWatchStatus() {
+  await ensureHistoryStore();
+  return toFolderWatchStatus();
+}
+
+async function saveWatchFolders(folders) {
+  await ensureHistoryStore();
+  const list = Array.from(
+    new Set(
+      (Array.isArray(folders) ? folders : [])
+        .map((folder) => String(folder || "").trim())
+        .filter(Boolean)
+        .map((folder) => (path.isAbsolute(folder) ? path.resolve(folder) : folder))
+    )
+  );
+  for (const folder of list) {
+    const stat = path.isAbsolute(folder) ? await fs.stat(folder).catch(() => null) : null;
+    if (!stat || !stat.isDirectory()) {
+      throw new Error(`Không tìm thấy thư mục: ${folder}`);
+    }
+  }
+  historyDb.setMeta(WATCH_FOLDERS_META_KEY, JSON.stringify(list));
+  if (hotFolders) {
+    return startFolderWatch(hotFolders.onImport);
+  }
+  return toFolderWatchStatus();
+}
+
+async function listImportQueue() {
+  await ensureHistoryStore();
+  const entries = historyDb.listImportQueue();
+  return Promise.all(entries.map(async (entry) => ({ ...entry, exists: await fs.pathExists(entry.filePath) })));
+}
+
+async function getImportQueueEntry(id) {
+  await ensureHistoryStore();
+  const entry = historyDb.findImportQueueEntry(id);
+  if (!entry) {
+    throw new Error("Không tìm thấy file trong hàng chờ");
+  }
+  if (!(await fs.pathExists(entry.filePath))) {
+    throw new Error(`File đã bị xoá khỏi thư mục lưu trữ: ${entry.fileName}`);
+  }
+  return entry;
+}
+
+// A retry that imports cleanly drops the entry; otherwise it stays queued
+// with the new problem.
+async function retryImportQueueEntry(id) {
+  const entry = await getImportQueueEntry(id);
+  const report = await importWatchedFile(entry.filePath);
+  const problem = describeImportProblems(report);
+  // The import queues its own write, so the entry swap runs as a separate
+  // job; one dismissed while the file was re-read stays gone.
+  return enqueueWrite(async () => {
+    historyDb.runInTransaction(() => {
+      if (!historyDb.deleteImportQueueEntry(entry.id) || !problem) return;
+      historyDb.insertImportQueue({ ...entry, error: problem, saved: countSavedResults(report) });
+    });
+    return { report, error: problem };
+  });
+}
+
+async function dismissImportQueueEntry(id) {
+  await ensureHistoryStore();
+  return historyDb.deleteImportQueueEntry(id) > 0;
+}
+
+function atDrawOffset(isoDate, drawTime, minutes) {
+  const [year, month, day] = isoDate.split("-").map(Number);
+  const [hour, minute] = drawTime.split(":").map(Number);
+  return new Date(year, month - 1, day, hour, minute + minutes).getTime();
+}
+
+// Every region draws daily, so the next run is the earliest region whose
+// day is still incomplete: its first crawl after the draw, or a retry.
+function planNextRun(regions, now = Date.now()) {
+  const today = toLocalIsoDate(new Date(now));
+  const candidates = [];
+  regions.forEach((region) => {
+    const { drawTime } = REGION_CONFIG[region];
+    for (let offset = 0; offset < 2; offset += 1) {
+      const isoDate = addDays(today, offset);
+      if (offset === 0) {
+        if (isRegionDayComplete(region, isoDate)) continue;
+        if (now > atDrawOffset(isoDate, drawTime, SCHEDULE_GIVE_UP_MINUTES)) continue;
+      }
+      const lastAttempt = scheduler.lastAttempts[region] || 0;
+      candidates.push({
+        region,
+        drawDate: isoDate,
+        at: Math.max(
+          atDrawOffset(isoDate, drawTime, SCHEDULE_FIRST_DELAY_MINUTES),
+          lastAttempt + SCHEDULE_RETRY_MINUTES * 60000,
+          now
+        )
+      });
+      break;
+    }
+  });
+  if (!candidates.length) return null;
+
+  const at = Math.min(...candidates.map((item) => item.at));
+  return {
+    at: new Date(at).toISOString(),
+    regions: candidates.filter((item) => item.at - at < 60000).map((item) => item.region)
+  };
+}
+
+function toSchedulerStatus() {
+  return {
+    running: Boolean(scheduler?.enabled),
+    nextRun: scheduler?.nextRun || null,
+    lastRun: scheduler?.lastRun || null,
+    errors: scheduler?.errors || []
+  };
+}
+
+function recordSchedulerError(message) {
+  scheduler.errors = [{ at: new Date().toISOString(), message }, ...scheduler.errors].slice(0, 10);
+}
+
+async function scheduleNextRun() {
+  if (!scheduler?.enabled) return;
+  clearTimeout(scheduler.timer);
+
+  const regions = [
+    ...new Set(
+      (await sourceAdapters.loadAdapters())
+        .filter((adapter) => adapter.enabled)
+        .map((adapter) => adapter.region)
+    )
+  ];
+  scheduler.nextRun = planNextRun(regions);
+  if (scheduler.nextRun) {
+    const delay = Math.max(0, Date.parse(scheduler.nextRun.at) - Date.now());
+    scheduler.timer = setTimeout(() => runScheduledCrawl(scheduler.nextRun.regions), delay);
+  } else if (!regions.length) {
+    recordSchedulerError("Chưa bật nguồn KQXS nào");
+  }
+  scheduler.onStatus(toSchedulerStatus());
+}
+
+async function runScheduledCrawl(regions) {
+  const startedAt = new Date().toISOString();
+  try {
+    regions.forEach((region) => {
+      scheduler.lastAttempts[region] = Date.now();
+    });
+    const data = await crawlKQXS({ regions, trigger: "scheduler" });
+    scheduler.lastRun = {
+      startedAt,
+      finishedAt: new Date().toISOString(),
+      regions,
+      results: data ? data.results : []
+    };
+    if (!data) {
+      recordSchedulerError("Lượt crawl trước vẫn đang chạy hoặc không có nguồn");
+    }
+    (data?.results || [])
+      .filter((result) => result.status === "error")
+      .forEach((result) => recordSchedulerError(`${result.adapterId}: ${result.error}`));
+  } catch (err) {
+    recordSchedulerError(err.message);
+  }
+  await scheduleNextRun().catch((err) => {
+    console.error("Lỗi lập lịch crawl:", err.message);
+  });
+}
+
+// The scheduler wakes only after each region's draw and retries until the
+// day's result is complete; it stays idle the rest of the day.
+async function startScheduler(onStatus) {
+  await ensureHistoryStore();
+  if (!scheduler) {
+    scheduler = { enabled: false, timer: null, nextRun: null, lastRun: null, errors: [], lastAttempts: {} };
+  }
+  scheduler.onStatus = typeof onStatus === "function" ? onStatus : () => {};
+  scheduler.enabled = true;
+  historyDb.setMeta(SCHEDULER_META_KEY, "1");
+  await scheduleNextRun();
+  console.log("Auto Agent đã chạy nền...");
+  return toSchedulerStatus();
+}
+
+async function stopScheduler() {
+  await ensureHistoryStore();
+  historyDb.setMeta(SCHEDULER_META_KEY, "0");
+  if (scheduler) {
+    clearTimeout(scheduler.timer);
+    scheduler.enabled = false;
+    scheduler.nextRun = null;
+  }
+  return toSchedulerStatus();
+}
+
+async function getSchedulerStatus() {
+  await ensureHistoryStore();
+  return {
+    ...toSchedulerStatus(),
+    enabledOnStartup: historyDb.getMeta(SCHEDULER_META_KEY) === "1"
+  };
 }
 
 module.exports = {
-  startAuto,
+  startScheduler,
+  stopScheduler,
+  getSchedulerStatus,
   crawlKQXS,
+  getSourceAdapters,
+  saveSourceAdapters,
+  resetSourceAdapters,
+  getCrawlLog,
+  saveCrawlLogSettings,
+  getCrawlSnapshotPath,
+  startBackfill,
+  resumeBackfill,
+  stopBackfill,
+  getBackfillStatus,
+  startLiveDraw,
+  stopLiveDraw,
+  getLiveStatus,
   thongKe,
   thongKeTheoDai,
+  thongKeGan,
+  getStatsOptions,
+  setStatsOptions,
   getHistory,
+  queryHistory,
   saveManualCopy,
-  clearHistory
+  previewManualCopy,
+  detectClipboardTickets,
+  getClipboardWatchSettings,
+  saveClipboardWatchSettings,
+  clearHistory,
+  getStoreInfo,
+  createBackup,
+  restoreBackup,
+  updateEntry,
+  resolveConflict,
+  deleteEntries,
+  getDeletedEntries,
+  restoreEntry,
+  purgeDeletedEntries,
+  exportHistory,
+  importHistoryFile,
+  importResultFile,
+  startFolderWatch,
+  stopFolderWatch,
+  getFolderWatchStatus,
+  saveWatchFolders,
+  listImportQueue,
+  getImportQueueEntry,
+  retryImportQueueEntry,
+  dismissImportQueueEntry,
+  importLegacyHistory,
+  getStationsDrawingOn,
+  previewVietlott,
+  saveVietlott,
+  getVietlottHistory,
+  thongKeVietlott
 };
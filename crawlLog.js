@@ -0,0 +1,61 @@
+const fs = require("fs-extra");
+const path = require("path");
+const historyDb = require("./historyDb");
+
+const snapshotDir =
+  process.env.KQXS_SNAPSHOT_DIR || path.join(path.dirname(historyDb.dbPath), "crawl-snapshots");
+const SNAPSHOT_META_KEY = "crawl_snapshot_on_failure";
+const MAX_RUNS = 2000;
+const FAILED_STATUSES = ["error", "empty"];
+
+function getSettings() {
+  return { snapshotOnFailure: historyDb.getMeta(SNAPSHOT_META_KEY) !== "0" };
+}
+
+function saveSettings(settings = {}) {
+  historyDb.setMeta(SNAPSHOT_META_KEY, settings.snapshotOnFailure === false ? "0" : "1");
+  return getSettings();
+}
+
+async function writeSnapshot(run, html) {
+  const stamp = new Date(run.startedAt || Date.now()).toISOString().replace(/[-:.]/g, "");
+  const fileName = `${stamp}-${run.adapterId || "crawl"}.html`;
+  await fs.ensureDir(snapshotDir);
+  await fs.writeFile(path.join(snapshotDir, fileName), html, "utf8");
+  return fileName;
+}
+
+// Failed runs keep the page HTML when the setting allows it; old rows and
+// their snapshot files are pruned past MAX_RUNS.
+async function recordRun(run, html = "") {
+  const entry = { ...run, finishedAt: run.finishedAt || new Date().toISOString() };
+  if (html && FAILED_STATUSES.includes(entry.status) && getSettings().snapshotOnFailure) {
+    entry.snapshot = await writeSnapshot(entry, html);
+  }
+  const id = historyDb.insertCrawlRun(entry);
+  const pruned = historyDb.pruneCrawlRuns(MAX_RUNS);
+  await Promise.all(pruned.map((fileName) => fs.remove(path.join(snapshotDir, fileName))));
+  return id;
+}
+
+function listRuns(filters = {}) {
+  return historyDb.listCrawlRuns(filters);
+}
+
+// Only bare file names inside snapshotDir are accepted.
+function resolveSnapshot(fileName) {
+  const name = path.basename(String(fileName || ""));
+  if (!name || name !== fileName || !name.endsWith(".html")) {
+    throw new Error("Tên file bản lưu trang không hợp lệ");
+  }
+  return path.join(snapshotDir, name);
+}
+
+module.exports = {
+  snapshotDir,
+  getSettings,
+  saveSettings,
+  recordRun,
+  listRuns,
+  resolveSnapshot
+};
@@ -0,0 +1,103 @@
+const { parseHTML } = require("linkedom");
+const puppeteer = require("puppeteer");
+
+const FETCH_TIMEOUT_MS = 30000;
+const BROWSER_TIMEOUT_MS = 60000;
+const USER_AGENT =
+  "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0 Safari/537.36";
+
+// Runs both in Node against a linkedom document and inside Puppeteer through
+// page.evaluate, so it must stay self-contained and use only DOM APIs.
+function extractPage(rules, doc = document) {
+  const textOf = (el) => {
+    if (!el) return "";
+    if (typeof el.innerText === "string") return el.innerText.trim();
+    return String(el.textContent || "").trim();
+  };
+  const prizes = {};
+  Object.entries(rules.prizes).forEach(([key, rule]) => {
+    prizes[key] = Array.from(doc.querySelectorAll(rule.selector)).map(textOf);
+  });
+  return {
+    prizes,
+    stations: rules.stationSelector
+      ? Array.from(doc.querySelectorAll(rules.stationSelector)).map(textOf)
+      : [],
+    drawDate: rules.dateSelector ? textOf(doc.querySelector(rules.dateSelector)) : ""
+  };
+}
+
+async function fetchHtml(url) {
+  const response = await fetch(url, {
+    headers: { "User-Agent": USER_AGENT, Accept: "text/html,application/xhtml+xml" },
+    redirect: "follow",
+    signal: AbortSignal.timeout(FETCH_TIMEOUT_MS)
+  });
+  const html = await response.text();
+  if (!response.ok) {
+    throw Object.assign(new Error(`Trang trả về HTTP ${response.status}`), { html });
+  }
+  return html;
+}
+
+// Chromium is only launched the first time a JS-rendered adapter needs it,
+// and then shared by every later page of the same run.
+function createSession() {
+  let launching = null;
+  return {
+    getBrowser() {
+      if (!launching) {
+        console.log("Đang mở web...");
+        launching = puppeteer.launch({
+          headless: "new",
+          args: ["--no-sandbox", "--disable-setuid-sandbox"]
+        });
+      }
+      return launching;
+    },
+    async close() {
+      if (!launching) return;
+      const browser = await launching.catch(() => null);
+      if (browser) {
+        await browser.close().catch((err) => console.error("Lỗi đóng browser:", err.message));
+      }
+    }
+  };
+}
+
+async function extractWithBrowser(session, adapter, url) {
+  const browser = await session.getBrowser();
+  const page = await browser.newPage();
+  try {
+    await page.goto(url, { waitUntil: "domcontentloaded", timeout: BROWSER_TIMEOUT_MS });
+    // Gives client-side scripts time to fill in the result table.
+    await new Promise((resolve) => setTimeout(resolve, 2000));
+    return {
+      extracted: await page.evaluate(extractPage, adapter),
+      html: await page.content()
+    };
+  } catch (err) {
+    err.html = await page.content().catch(() => "");
+    throw err;
+  } finally {
+    await page.close().catch(() => {});
+  }
+}
+
+// Static pages are fetched and parsed in-process; Puppeteer is kept for
+// adapters marked `jsRendered`. `path` tells the caller which one ran, and
+// `html` (also set on thrown errors when a page loaded) feeds the crawl log.
+async function loadAdapterPage(session, adapter, url) {
+  if (adapter.jsRendered) {
+    return { path: "browser", ...(await extractWithBrowser(session, adapter, url)) };
+  }
+  const html = await fetchHtml(url);
+  const { document } = parseHTML(html);
+  return { path: "http", extracted: extractPage(adapter, document), html };
+}
+
+module.exports = {
+  extractPage,
+  createSession,
+  loadAdapterPage
+};
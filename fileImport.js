@@ -0,0 +1,90 @@
+const fs = require("fs-extra");
+const path = require("path");
+
+const IMAGE_EXTENSIONS = ["png", "jpg", "jpeg", "bmp", "webp"];
+const TEXT_EXTENSIONS = ["txt"];
+const FILE_EXTENSIONS = ["pdf", ...IMAGE_EXTENSIONS, ...TEXT_EXTENSIONS];
+// A PDF page with less text than this is a scan and is OCR'd instead.
+const MIN_PDF_PAGE_TEXT = 20;
+const PDF_OCR_SCALE = 2;
+
+// The preview and the save that follows read the same file; keeping the last
+// result avoids running OCR twice.
+let lastRead = null;
+
+// pdf-parse (with its native canvas) and tesseract.js load on first use, so
+// reading FILE_EXTENSIONS stays cheap and cannot fail at startup.
+function loadPdfParse() {
+  return require("pdf-parse");
+}
+
+function loadLocalOcr() {
+  return require("./localOcr");
+}
+
+function detectKind(filePath) {
+  const ext = path.extname(String(filePath || "")).slice(1).toLowerCase();
+  if (ext === "pdf") return "pdf";
+  if (IMAGE_EXTENSIONS.includes(ext)) return "image";
+  if (TEXT_EXTENSIONS.includes(ext)) return "text";
+  throw new Error(`Chưa hỗ trợ nhập KQXS từ file .${ext || "?"}`);
+}
+
+async function readPdfPages(data) {
+  const { PDFParse } = loadPdfParse();
+  const parser = new PDFParse({ data });
+  try {
+    const { pages } = await parser.getText();
+    const scanned = pages
+      .filter((page) => page.text.replace(/\s/g, "").length < MIN_PDF_PAGE_TEXT)
+      .map((page) => page.num);
+    const ocrText = new Map();
+    if (scanned.length) {
+      const shots = await parser.getScreenshot({
+        partial: scanned,
+        scale: PDF_OCR_SCALE,
+        imageDataUrl: false
+      });
+      for (const shot of shots.pages) {
+        const { text } = await loadLocalOcr().recognizeBuffer(Buffer.from(shot.data));
+        ocrText.set(shot.pageNumber, text);
+      }
+    }
+    return pages.map((page) => ({
+      page: page.num,
+      method: ocrText.has(page.num) ? "ocr" : "text",
+      text: ocrText.has(page.num) ? ocrText.get(page.num) : page.text
+    }));
+  } finally {
+    await parser.destroy();
+  }
+}
+
+// Returns `{ kind, pages: [{ page, method, text }] }`; images and text
+// files are a single page.
+async function readFilePages(filePath) {
+  const kind = detectKind(filePath);
+  const stat = await fs.stat(filePath);
+  const key = `${filePath}:${stat.size}:${stat.mtimeMs}`;
+  if (lastRead?.key === key) return lastRead.result;
+
+  const data = await fs.readFile(filePath);
+  let pages;
+  if (kind === "pdf") {
+    pages = await readPdfPages(new Uint8Array(data));
+  } else if (kind === "image") {
+    pages = [{ page: 1, method: "ocr", text: (await loadLocalOcr().recognizeBuffer(data)).text }];
+  } else {
+    pages = [{ page: 1, method: "text", text: data.toString("utf8") }];
+  }
+
+  const result = { kind, pages };
+  lastRead = { key, result };
+  return result;
+}
+
+module.exports = {
+  FILE_EXTENSIONS,
+  detectKind,
+  readFilePages
+};
@@ -0,0 +1,158 @@
+const fs = require("fs-extra");
+const path = require("path");
+const fileImport = require("./fileImport");
+
+const ARCHIVE_DIR_NAME = "archive";
+// A file counts as fully written once its size stays the same this long.
+const SETTLE_MS = 2000;
+// A file still empty after this many checks goes to the queue as unreadable.
+const MAX_EMPTY_CHECKS = 30;
+// fs.watch often stays silent on network shares, so folders are also
+// listed again on this interval.
+const RESCAN_MS = 30000;
+const IGNORED_NAME = /^(\.|~\$)/;
+
+function isImportable(fileName) {
+  const ext = path.extname(fileName).slice(1).toLowerCase();
+  return !IGNORED_NAME.test(fileName) && fileImport.FILE_EXTENSIONS.includes(ext);
+}
+
+async function moveToArchive(folder, fileName) {
+  const archiveDir = path.join(folder, ARCHIVE_DIR_NAME);
+  await fs.ensureDir(archiveDir);
+  let target = path.join(archiveDir, fileName);
+  if (await fs.pathExists(target)) {
+    const ext = path.extname(fileName);
+    const stamp = new Date().toISOString().replace(/[-:.]/g, "");
+    target = path.join(archiveDir, `${path.basename(fileName, ext)}-${stamp}${ext}`);
+  }
+  await fs.move(path.join(folder, fileName), target);
+  return target;
+}
+
+// Watches each folder (not its subfolders) and runs `processFile(filePath)`
+// on every new file once it is fully written, one file at a time. Files
+// already waiting when watching starts are picked up too. Afterwards the
+// file is moved to the folder's archive subfolder and `onProcessed` gets
+// `{ folder, fileName, archivedPath, result, error }`.
+function createFolderWatcher(folders, { processFile, onProcessed }) {
+  const watchers = [];
+  const errors = new Map();
+  const timers = new Map();
+  const pending = new Set();
+  // Files that could not be archived are left alone by the rescan instead
+  // of being imported again every interval.
+  const stuck = new Set();
+  let queue = Promise.resolve();
+  let closed = false;
+
+  // `problem` skips processing and reports the file as failed.
+  function enqueue(folder, fileName, problem = "") {
+    const filePath = path.join(folder, fileName);
+    if (pending.has(filePath)) return;
+    pending.add(filePath);
+    queue = queue.then(async () => {
+      try {
+        if (closed || !(await fs.pathExists(filePath))) return;
+        let result = null;
+        let error = problem ? new Error(problem) : null;
+        if (!error) {
+          try {
+            result = await processFile(filePath);
+          } catch (err) {
+            error = err;
+          }
+        }
+        const archivedPath = await moveToArchive(folder, fileName);
+        await onProcessed({ folder, fileName, archivedPath, result, error });
+      } catch (err) {
+        stuck.add(filePath);
+        console.error(`Lỗi nhập file ${filePath}:`, err.message);
+      } finally {
+        pending.delete(filePath);
+      }
+    });
+  }
+
+  async function settle(folder, fileName, lastSize, emptyChecks) {
+    const filePath = path.join(folder, fileName);
+    const stat = await fs.stat(filePath).catch(() => null);
+    if (closed || !stat || !stat.isFile()) {
+      timers.delete(filePath);
+      return;
+    }
+    if (stat.size > 0 && stat.size === lastSize) {
+      timers.delete(filePath);
+      enqueue(folder, fileName);
+      return;
+    }
+    const empty = stat.size === 0 ? emptyChecks + 1 : 0;
+    if (empty >= MAX_EMPTY_CHECKS) {
+      timers.delete(filePath);
+      enqueue(folder, fileName, "File rỗng, không có dữ liệu để nhập");
+      return;
+    }
+    timers.set(filePath, setTimeout(() => settle(folder, fileName, stat.size, empty), SETTLE_MS));
+  }
+
+  function schedule(folder, fileName) {
+    if (closed || !fileName || !isImportable(fileName)) return;
+    const filePath = path.join(folder, fileName);
+    clearTimeout(timers.get(filePath));
+    timers.set(filePath, setTimeout(() => settle(folder, fileName, -1, 0), SETTLE_MS));
+  }
+
+  // Files already settling or queued keep their place.
+  function scan(folder) {
+    fs.readdir(folder)
+      .then((names) => {
+        errors.delete(folder);
+        names
+          .filter((name) => {
+            const filePath = path.join(folder, name);
+            return !timers.has(filePath) && !pending.has(filePath) && !stuck.has(filePath);
+          })
+          .forEach((name) => schedule(folder, name));
+      })
+      .catch((err) => errors.set(folder, err.message));
+  }
+
+  folders.forEach((folder) => {
+    try {
+      const watcher = fs.watch(folder, (_eventType, fileName) => schedule(folder, String(fileName || "")));
+      watcher.on("error", (err) => {
+        errors.set(folder, err.message);
+        watcher.close();
+      });
+      watchers.push(watcher);
+    } catch (err) {
+      errors.set(folder, err.message);
+    }
+    scan(folder);
+  });
+  const rescanTimer = setInterval(() => folders.forEach(scan), RESCAN_MS);
+
+  return {
+    status() {
+      return {
+        folders,
+        errors: Array.from(errors, ([folder, message]) => ({ folder, message })),
+        pending: pending.size + timers.size
+      };
+    },
+    close() {
+      closed = true;
+      clearInterval(rescanTimer);
+      watchers.forEach((watcher) => watcher.close());
+      timers.forEach((timer) => clearTimeout(timer));
+      timers.clear();
+      return queue;
+    }
+  };
+}
+
+module.exports = {
+  ARCHIVE_DIR_NAME,
+  createFolderWatcher,
+  moveToArchive
+};
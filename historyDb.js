@@ -0,0 +1,1211 @@
+const Database = require("better-sqlite3");
+const fs = require("fs");
+const path = require("path");
+
+const dbPath = process.env.KQXS_DB_PATH || path.join(__dirname, "history.db");
+const backupDir = process.env.KQXS_BACKUP_DIR || path.join(path.dirname(dbPath), "backups");
+const MAX_BACKUPS = 10;
+const BACKUP_NAME_PATTERN = /^history-(\d{8}T\d{6}\d{3})-v(\d+)-([a-z0-9-]+)\.db$/;
+const UNKNOWN_STATION = "Chưa rõ đài";
+
+const SCHEMA_SQL = `
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS stations (
+    id INTEGER PRIMARY KEY,
+    name TEXT NOT NULL UNIQUE,
+    region TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS draws (
+    id INTEGER PRIMARY KEY,
+    saved_at TEXT NOT NULL,
+    draw_date TEXT NOT NULL DEFAULT '',
+    station_id INTEGER NOT NULL REFERENCES stations(id),
+    source TEXT NOT NULL DEFAULT '',
+    raw_text TEXT,
+    station_hint TEXT,
+    giai_db TEXT NOT NULL DEFAULT '',
+    has_ticket INTEGER NOT NULL DEFAULT 0
+  );
+  CREATE INDEX IF NOT EXISTS idx_draws_station ON draws(station_id);
+  CREATE INDEX IF NOT EXISTS idx_draws_draw_date ON draws(draw_date);
+
+  CREATE TABLE IF NOT EXISTS prize_rows (
+    id INTEGER PRIMARY KEY,
+    draw_id INTEGER NOT NULL REFERENCES draws(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    prize_key TEXT NOT NULL,
+    label TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_prize_rows_draw ON prize_rows(draw_id);
+
+  CREATE TABLE IF NOT EXISTS numbers (
+    id INTEGER PRIMARY KEY,
+    draw_id INTEGER NOT NULL REFERENCES draws(id) ON DELETE CASCADE,
+    prize_row_id INTEGER REFERENCES prize_rows(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    value TEXT NOT NULL,
+    tail TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_numbers_draw ON numbers(draw_id);
+`;
+
+// Index N upgrades a database from user_version N to N + 1.
+const MIGRATIONS = [
+  (database) => database.exec(SCHEMA_SQL),
+  (database) =>
+    database.exec(`
+      ALTER TABLE draws ADD COLUMN draw_key TEXT;
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_draws_key ON draws(draw_key) WHERE draw_key IS NOT NULL;
+    `),
+  (database) =>
+    database.exec(`
+      ALTER TABLE draws ADD COLUMN special_codes TEXT NOT NULL DEFAULT '';
+      CREATE INDEX IF NOT EXISTS idx_stations_region ON stations(region);
+    `),
+  (database) =>
+    database.exec(`
+      CREATE TABLE IF NOT EXISTS vietlott_draws (
+        id INTEGER PRIMARY KEY,
+        game TEXT NOT NULL,
+        draw_no TEXT NOT NULL DEFAULT '',
+        draw_date TEXT NOT NULL DEFAULT '',
+        saved_at TEXT NOT NULL,
+        source TEXT NOT NULL DEFAULT '',
+        raw_text TEXT,
+        jackpot1 INTEGER,
+        jackpot2 INTEGER,
+        draw_key TEXT UNIQUE
+      );
+      CREATE INDEX IF NOT EXISTS idx_vietlott_draws_game_date ON vietlott_draws(game, draw_date);
+
+      CREATE TABLE IF NOT EXISTS vietlott_numbers (
+        id INTEGER PRIMARY KEY,
+        draw_id INTEGER NOT NULL REFERENCES vietlott_draws(id) ON DELETE CASCADE,
+        prize_key TEXT NOT NULL,
+        position INTEGER NOT NULL,
+        value TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_vietlott_numbers_draw ON vietlott_numbers(draw_id);
+    `),
+  (database) =>
+    database.exec(`
+      ALTER TABLE draws ADD COLUMN deleted_at TEXT;
+      CREATE INDEX IF NOT EXISTS idx_draws_deleted ON draws(deleted_at);
+    `),
+  // Crawler draws were stored with ĐB/G7/G8 prize rows but no ticket flag.
+  (database) =>
+    database.exec(`
+      UPDATE draws SET has_ticket = 1
+      WHERE has_ticket = 0 AND EXISTS (SELECT 1 FROM prize_rows p WHERE p.draw_id = draws.id);
+    `),
+  (database) =>
+    database.exec(`
+      CREATE INDEX IF NOT EXISTS idx_draws_source ON draws(source);
+      CREATE INDEX IF NOT EXISTS idx_numbers_value ON numbers(value);
+      CREATE INDEX IF NOT EXISTS idx_numbers_tail ON numbers(tail);
+    `),
+  // verify_status: '' (single source), 'verified' or 'conflict'; the detail
+  // JSON keeps the compared sources and the differing prize values.
+  (database) =>
+    database.exec(`
+      ALTER TABLE draws ADD COLUMN verify_status TEXT NOT NULL DEFAULT '';
+      ALTER TABLE draws ADD COLUMN verify_detail TEXT;
+      CREATE INDEX IF NOT EXISTS idx_draws_verify ON draws(verify_status);
+    `),
+  (database) =>
+    database.exec(`
+      CREATE TABLE IF NOT EXISTS crawl_runs (
+        id INTEGER PRIMARY KEY,
+        started_at TEXT NOT NULL,
+        finished_at TEXT NOT NULL,
+        run_trigger TEXT NOT NULL DEFAULT '',
+        adapter_id TEXT NOT NULL DEFAULT '',
+        url TEXT NOT NULL DEFAULT '',
+        path TEXT NOT NULL DEFAULT '',
+        duration_ms INTEGER,
+        status TEXT NOT NULL,
+        prizes_found INTEGER NOT NULL DEFAULT 0,
+        stations TEXT,
+        error TEXT NOT NULL DEFAULT '',
+        snapshot TEXT NOT NULL DEFAULT ''
+      );
+      CREATE INDEX IF NOT EXISTS idx_crawl_runs_started ON crawl_runs(started_at);
+    `),
+  // Hot-folder files that failed or only partly imported; `saved` counts the
+  // tickets that did get stored.
+  (database) =>
+    database.exec(`
+      CREATE TABLE IF NOT EXISTS import_queue (
+        id INTEGER PRIMARY KEY,
+        created_at TEXT NOT NULL,
+        folder TEXT NOT NULL DEFAULT '',
+        file_name TEXT NOT NULL,
+        file_path TEXT NOT NULL,
+        error TEXT NOT NULL DEFAULT '',
+        saved INTEGER NOT NULL DEFAULT 0
+      );
+    `)
+];
+
+const QUERY_SORTS = {
+  drawDate: "d.draw_date",
+  savedAt: "d.saved_at",
+  station: "s.name"
+};
+const MAX_QUERY_LIMIT = 500;
+const VERIFY_STATUSES = ["", "verified", "conflict"];
+
+let db = null;
+let statements = null;
+let lastRecovery = null;
+
+function cleanDigits(text) {
+  return String(text || "").replace(/\D/g, "");
+}
+
+function toTail(value) {
+  return value.length >= 2 ? value.slice(-2) : value;
+}
+
+function toBackupStamp(date) {
+  return date.toISOString().replace(/[-:]/g, "").replace(".", "").slice(0, 18);
+}
+
+function fromBackupStamp(stamp) {
+  const [, year, month, day, hour, minute, second, ms] = stamp.match(
+    /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(\d{3})$/
+  );
+  return `${year}-${month}-${day}T${hour}:${minute}:${second}.${ms}Z`;
+}
+
+function pruneBackups() {
+  listBackups()
+    .slice(MAX_BACKUPS)
+    .forEach((backup) => fs.rmSync(path.join(backupDir, backup.fileName), { force: true }));
+}
+
+// VACUUM INTO writes a consistent copy even while WAL pages are pending.
+function snapshotDatabase(database, reason) {
+  const version = database.pragma("user_version", { simple: true });
+  const safeReason = String(reason || "manual").toLowerCase().replace(/[^a-z0-9-]+/g, "-") || "manual";
+  const fileName = `history-${toBackupStamp(new Date())}-v${version}-${safeReason}.db`;
+  const filePath = path.join(backupDir, fileName);
+  fs.mkdirSync(backupDir, { recursive: true });
+  database.prepare("VACUUM INTO ?").run(`${filePath}.partial`);
+  fs.renameSync(`${filePath}.partial`, filePath);
+  pruneBackups();
+  return fileName;
+}
+
+function migrate(database) {
+  const current = database.pragma("user_version", { simple: true });
+  if (current > 0 && current < MIGRATIONS.length) {
+    snapshotDatabase(database, "migrate");
+  }
+  for (let version = current; version < MIGRATIONS.length; version += 1) {
+    database.transaction(() => {
+      MIGRATIONS[version](database);
+      database.pragma(`user_version = ${version + 1}`);
+    })();
+  }
+}
+
+function tryOpenDatabase(filePath, options = {}) {
+  let database = null;
+  try {
+    database = new Database(filePath, options);
+    if (database.pragma("quick_check", { simple: true }) === "ok") return database;
+  } catch (_err) {
+    // Unreadable or truncated; the caller falls back.
+  }
+  if (database) database.close();
+  return null;
+}
+
+function removeSidecarFiles(filePath) {
+  ["-wal", "-shm"].forEach((suffix) => fs.rmSync(`${filePath}${suffix}`, { force: true }));
+}
+
+function copyDatabaseFile(sourcePath, targetPath) {
+  removeSidecarFiles(targetPath);
+  fs.copyFileSync(sourcePath, `${targetPath}.restoring`);
+  fs.renameSync(`${targetPath}.restoring`, targetPath);
+}
+
+// A database cut short by a crash mid-write is moved aside and replaced by
+// the newest backup that passes an integrity check, or by an empty one.
+function openHealthyDatabase() {
+  const database = tryOpenDatabase(dbPath);
+  if (database) return database;
+
+  const corruptPath = `${dbPath}.corrupt-${toBackupStamp(new Date())}`;
+  fs.renameSync(dbPath, corruptPath);
+  ["-wal", "-shm"].forEach((suffix) => {
+    if (fs.existsSync(`${dbPath}${suffix}`)) {
+      fs.renameSync(`${dbPath}${suffix}`, `${corruptPath}${suffix}`);
+    }
+  });
+
+  const backup = listBackups().find((item) => {
+    const probe = tryOpenDatabase(path.join(backupDir, item.fileName), {
+      readonly: true,
+      fileMustExist: true
+    });
+    if (probe) probe.close();
+    return Boolean(probe);
+  });
+  if (backup) {
+    copyDatabaseFile(path.join(backupDir, backup.fileName), dbPath);
+  }
+
+  lastRecovery = {
+    at: new Date().toISOString(),
+    corruptPath,
+    restoredFrom: backup ? backup.fileName : ""
+  };
+  console.error(
+    `history.db bị hỏng, đã chuyển sang ${path.basename(corruptPath)}` +
+      (backup ? ` và khôi phục từ ${backup.fileName}` : ", tạo cơ sở dữ liệu mới")
+  );
+  return new Database(dbPath);
+}
+
+function getLastRecovery() {
+  return lastRecovery;
+}
+
+function getDb() {
+  if (db) return db;
+
+  db = openHealthyDatabase();
+  db.pragma("journal_mode = WAL");
+  db.pragma("foreign_keys = ON");
+  migrate(db);
+
+  statements = {
+    getMeta: db.prepare("SELECT value FROM meta WHERE key = ?"),
+    setMeta: db.prepare(
+      "INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value"
+    ),
+    findStation: db.prepare("SELECT id, region FROM stations WHERE name = ?"),
+    setStationRegion: db.prepare("UPDATE stations SET region = ? WHERE id = ?"),
+    insertStation: db.prepare("INSERT INTO stations (name, region) VALUES (?, ?)"),
+    insertDraw: db.prepare(`
+      INSERT INTO draws (saved_at, draw_date, station_id, source, raw_text, station_hint, giai_db, has_ticket, draw_key, special_codes, verify_status, verify_detail)
+      VALUES (@savedAt, @drawDate, @stationId, @source, @rawText, @stationHint, @giaiDB, @hasTicket, @drawKey, @specialCodes, @verifyStatus, @verifyDetail)
+    `),
+    updateDraw: db.prepare(`
+      UPDATE draws SET saved_at = @savedAt, draw_date = @drawDate, station_id = @stationId,
+        source = @source, raw_text = @rawText, station_hint = @stationHint, giai_db = @giaiDB,
+        has_ticket = @hasTicket, draw_key = @drawKey, special_codes = @specialCodes,
+        verify_status = @verifyStatus, verify_detail = @verifyDetail
+      WHERE id = @id
+    `),
+    deleteDrawNumbers: db.prepare("DELETE FROM numbers WHERE draw_id = ?"),
+    deleteDrawPrizeRows: db.prepare("DELETE FROM prize_rows WHERE draw_id = ?"),
+    findDrawIdByKey: db.prepare("SELECT id FROM draws WHERE draw_key = ?"),
+    setDrawKey: db.prepare("UPDATE draws SET draw_key = ? WHERE id = ?"),
+    setDrawDate: db.prepare("UPDATE draws SET draw_date = ? WHERE id = ?"),
+    insertPrizeRow: db.prepare(
+      "INSERT INTO prize_rows (draw_id, position, prize_key, label) VALUES (?, ?, ?, ?)"
+    ),
+    insertNumber: db.prepare(
+      "INSERT INTO numbers (draw_id, prize_row_id, position, value, tail) VALUES (?, ?, ?, ?, ?)"
+    ),
+    countDraws: db.prepare("SELECT COUNT(*) AS total FROM draws WHERE deleted_at IS NULL"),
+    softDeleteDraw: db.prepare(
+      "UPDATE draws SET deleted_at = ?, draw_key = NULL WHERE id = ? AND deleted_at IS NULL"
+    ),
+    restoreDraw: db.prepare(
+      "UPDATE draws SET deleted_at = NULL, draw_key = ? WHERE id = ? AND deleted_at IS NOT NULL"
+    ),
+    insertVietlottDraw: db.prepare(`
+      INSERT INTO vietlott_draws (game, draw_no, draw_date, saved_at, source, raw_text, jackpot1, jackpot2, draw_key)
+      VALUES (@game, @drawNo, @drawDate, @savedAt, @source, @rawText, @jackpot1, @jackpot2, @drawKey)
+    `),
+    updateVietlottDraw: db.prepare(`
+      UPDATE vietlott_draws SET game = @game, draw_no = @drawNo, draw_date = @drawDate,
+        saved_at = @savedAt, source = @source, raw_text = @rawText, jackpot1 = @jackpot1,
+        jackpot2 = @jackpot2, draw_key = @drawKey
+      WHERE id = @id
+    `),
+    deleteVietlottNumbers: db.prepare("DELETE FROM vietlott_numbers WHERE draw_id = ?"),
+    insertVietlottNumber: db.prepare(
+      "INSERT INTO vietlott_numbers (draw_id, prize_key, position, value) VALUES (?, ?, ?, ?)"
+    ),
+    findVietlottDrawIdByKey: db.prepare("SELECT id FROM vietlott_draws WHERE draw_key = ?"),
+    insertCrawlRun: db.prepare(`
+      INSERT INTO crawl_runs (started_at, finished_at, run_trigger, adapter_id, url, path, duration_ms, status, prizes_found, stations, error, snapshot)
+      VALUES (@startedAt, @finishedAt, @trigger, @adapterId, @url, @path, @durationMs, @status, @prizesFound, @stations, @error, @snapshot)
+    `),
+    insertImportQueue: db.prepare(`
+      INSERT INTO import_queue (created_at, folder, file_name, file_path, error, saved)
+      VALUES (@createdAt, @folder, @fileName, @filePath, @error, @saved)
+    `)
+  };
+
+  return db;
+}
+
+function closeDb() {
+  if (!db) return;
+  db.close();
+  db = null;
+  statements = null;
+}
+
+function getSchemaVersion() {
+  return getDb().pragma("user_version", { simple: true });
+}
+
+function createBackup(reason) {
+  return snapshotDatabase(getDb(), reason);
+}
+
+function listBackups() {
+  if (!fs.existsSync(backupDir)) return [];
+  return fs
+    .readdirSync(backupDir)
+    .map((fileName) => {
+      const match = fileName.match(BACKUP_NAME_PATTERN);
+      if (!match) return null;
+      return {
+        fileName,
+        createdAt: fromBackupStamp(match[1]),
+        schemaVersion: Number(match[2]),
+        reason: match[3],
+        size: fs.statSync(path.join(backupDir, fileName)).size
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// The current database is snapshotted first, so a restore can be undone.
+// Older backups are migrated to the current schema when reopened.
+function restoreBackup(fileName) {
+  const backup = listBackups().find((item) => item.fileName === fileName);
+  if (!backup) {
+    throw new Error("Không tìm thấy bản sao lưu");
+  }
+
+  createBackup("before-restore");
+  closeDb();
+  copyDatabaseFile(path.join(backupDir, backup.fileName), dbPath);
+  getDb();
+  return backup;
+}
+
+function getMeta(key) {
+  getDb();
+  const row = statements.getMeta.get(String(key));
+  return row ? row.value : null;
+}
+
+function setMeta(key, value) {
+  getDb();
+  statements.setMeta.run(String(key), value == null ? null : String(value));
+}
+
+function countDraws() {
+  getDb();
+  return statements.countDraws.get().total;
+}
+
+function resolveStationId(name, region) {
+  const stationName = String(name || "").trim() || UNKNOWN_STATION;
+  const existing = statements.findStation.get(stationName);
+  if (existing) {
+    if (region && !existing.region) {
+      statements.setStationRegion.run(region, existing.id);
+    }
+    return existing.id;
+  }
+  return Number(statements.insertStation.run(stationName, region || null).lastInsertRowid);
+}
+
+// Manual tickets carry their prize rows; crawler items only have ĐB/G7/G8
+// and plain copies only have a loose number list.
+function toPrizeRows(item) {
+  if (item?.ticket && Array.isArray(item.ticket.prizes)) {
+    return item.ticket.prizes.map((row) => ({
+      key: String(row?.key || ""),
+      label: String(row?.label || row?.key || ""),
+      numbers: Array.isArray(row?.numbers) ? row.numbers : []
+    }));
+  }
+  if (Array.isArray(item?.numbers) && item.numbers.length) {
+    return [];
+  }
+  return [
+    { key: "gdb", label: "ĐB", numbers: item?.giaiDB ? [item.giaiDB] : [] },
+    { key: "g7", label: "G7", numbers: Array.isArray(item?.giai7) ? item.giai7 : [] },
+    { key: "g8", label: "G8", numbers: Array.isArray(item?.giai8) ? item.giai8 : [] }
+  ].filter((row) => row.numbers.length);
+}
+
+function toDrawParams(item) {
+  const hasTicket = Boolean(item?.ticket && Array.isArray(item.ticket.prizes));
+  const hint =
+    item?.stationHint && typeof item.stationHint === "object"
+      ? JSON.stringify(item.stationHint)
+      : null;
+  const verification =
+    item?.verification && VERIFY_STATUSES.includes(item.verification.status)
+      ? item.verification
+      : null;
+
+  return {
+    savedAt: String(item?.date || new Date().toISOString()),
+    drawDate: String(item?.ticket?.drawDate || item?.drawDate || ""),
+    stationId: resolveStationId(item?.station, item?.region || item?.ticket?.region),
+    source: String(item?.source || ""),
+    rawText: item?.rawText == null ? null : String(item.rawText),
+    stationHint: hint,
+    giaiDB: cleanDigits(item?.giaiDB || item?.ticket?.giaiDB),
+    hasTicket: hasTicket ? 1 : 0,
+    drawKey: item?.drawKey ? String(item.drawKey) : null,
+    specialCodes: Array.isArray(item?.ticket?.specialCodes)
+      ? item.ticket.specialCodes.map((code) => String(code)).join(",")
+      : "",
+    verifyStatus: verification ? verification.status : "",
+    verifyDetail: verification ? JSON.stringify(verification) : null
+  };
+}
+
+function writeDrawNumbers(drawId, item) {
+  let position = 0;
+  const prizeRows = toPrizeRows(item);
+  prizeRows.forEach((row, rowIndex) => {
+    const rowId = Number(
+      statements.insertPrizeRow.run(drawId, rowIndex, row.key, row.label).lastInsertRowid
+    );
+    row.numbers.forEach((raw) => {
+      const value = cleanDigits(raw);
+      if (!value) return;
+      statements.insertNumber.run(drawId, rowId, position, value, toTail(value));
+      position += 1;
+    });
+  });
+
+  if (!prizeRows.length && Array.isArray(item?.numbers)) {
+    item.numbers.forEach((raw) => {
+      const value = cleanDigits(raw);
+      if (!value) return;
+      statements.insertNumber.run(drawId, null, position, value, toTail(value));
+      position += 1;
+    });
+  }
+}
+
+function insertDrawRow(item) {
+  const drawId = Number(statements.insertDraw.run(toDrawParams(item)).lastInsertRowid);
+  writeDrawNumbers(drawId, item);
+  return drawId;
+}
+
+function insertDraws(items) {
+  const list = Array.isArray(items) ? items : [items];
+  const run = getDb().transaction((rows) => rows.map((item) => insertDrawRow(item)));
+  return run(list);
+}
+
+function updateDraw(id, item) {
+  const drawId = Number(id);
+  getDb().transaction(() => {
+    statements.updateDraw.run({ ...toDrawParams(item), id: drawId });
+    statements.deleteDrawNumbers.run(drawId);
+    statements.deleteDrawPrizeRows.run(drawId);
+    writeDrawNumbers(drawId, item);
+  })();
+  return drawId;
+}
+
+function runInTransaction(fn) {
+  return getDb().transaction(fn)();
+}
+
+function parseJsonObject(raw) {
+  if (!raw) return null;
+  try {
+    const parsed = JSON.parse(raw);
+    return parsed && typeof parsed === "object" ? parsed : null;
+  } catch (_err) {
+    return null;
+  }
+}
+
+function buildHistoryItem(draw, prizeRows, looseNumbers) {
+  const prizes = prizeRows.map((row) => ({
+    key: row.key,
+    label: row.label,
+    numbers: row.numbers
+  }));
+  const prizeNumbers = prizes.flatMap((row) => row.numbers);
+  const numbers = prizes.length ? prizeNumbers : looseNumbers;
+  const findRow = (key) => prizes.find((row) => row.key === key)?.numbers || [];
+
+  return {
+    id: draw.id,
+    drawKey: draw.draw_key || "",
+    date: draw.saved_at,
+    drawDate: draw.draw_date,
+    source: draw.source,
+    rawText: draw.raw_text || "",
+    numbers,
+    station: draw.station,
+    region: draw.region || "",
+    stationHint: parseJsonObject(draw.station_hint),
+    giaiDB: draw.giai_db,
+    giai7: findRow("g7"),
+    giai8: findRow("g8"),
+    deletedAt: draw.deleted_at || "",
+    verification: parseJsonObject(draw.verify_detail),
+    ticket: draw.has_ticket
+      ? {
+          station: draw.station,
+          drawDate: draw.draw_date,
+          region: draw.region || "",
+          specialCodes: draw.special_codes ? draw.special_codes.split(",") : [],
+          prizes,
+          numbers: prizeNumbers,
+          giaiDB: findRow("gdb")[0] || "",
+          giai7: findRow("g7"),
+          giai8: findRow("g8")
+        }
+      : null
+  };
+}
+
+function loadDraws(whereSql, params) {
+  const database = getDb();
+  const draws = database
+    .prepare(
+      `SELECT d.*, s.name AS station, s.region AS region
+       FROM draws d JOIN stations s ON s.id = d.station_id
+       ${whereSql}`
+    )
+    .all(...params);
+  if (!draws.length) return [];
+
+  const ids = draws.map((draw) => draw.id);
+  const placeholders = ids.map(() => "?").join(",");
+  const prizeRows = database
+    .prepare(
+      `SELECT id, draw_id, prize_key, label FROM prize_rows
+       WHERE draw_id IN (${placeholders}) ORDER BY draw_id, position`
+    )
+    .all(...ids);
+  const numberRows = database
+    .prepare(
+      `SELECT draw_id, prize_row_id, value FROM numbers
+       WHERE draw_id IN (${placeholders}) ORDER BY draw_id, position`
+    )
+    .all(...ids);
+
+  const rowsByDraw = new Map();
+  const rowById = new Map();
+  prizeRows.forEach((row) => {
+    const entry = { key: row.prize_key, label: row.label, numbers: [] };
+    rowById.set(row.id, entry);
+    if (!rowsByDraw.has(row.draw_id)) rowsByDraw.set(row.draw_id, []);
+    rowsByDraw.get(row.draw_id).push(entry);
+  });
+
+  const looseByDraw = new Map();
+  numberRows.forEach((row) => {
+    if (row.prize_row_id != null && rowById.has(row.prize_row_id)) {
+      rowById.get(row.prize_row_id).numbers.push(row.value);
+      return;
+    }
+    if (!looseByDraw.has(row.draw_id)) looseByDraw.set(row.draw_id, []);
+    looseByDraw.get(row.draw_id).push(row.value);
+  });
+
+  return draws.map((draw) =>
+    buildHistoryItem(draw, rowsByDraw.get(draw.id) || [], looseByDraw.get(draw.id) || [])
+  );
+}
+
+function listDraws(limit = 50) {
+  const safeLimit = Math.max(1, Number(limit) || 1);
+  return loadDraws("WHERE d.deleted_at IS NULL ORDER BY d.id DESC LIMIT ?", [safeLimit]);
+}
+
+function listDrawsInRange(filters = {}) {
+  const clauses = ["d.deleted_at IS NULL"];
+  const params = [];
+  if (filters.from) {
+    clauses.push("d.draw_date >= ?");
+    params.push(String(filters.from));
+  }
+  if (filters.to) {
+    clauses.push("d.draw_date <= ?");
+    params.push(String(filters.to));
+  }
+  if (filters.region) {
+    clauses.push("s.region = ?");
+    params.push(String(filters.region));
+  }
+  if (filters.station) {
+    clauses.push("s.name = ?");
+    params.push(String(filters.station));
+  }
+  return loadDraws(`WHERE ${clauses.join(" AND ")} ORDER BY d.draw_date, s.name, d.id`, params);
+}
+
+function encodeCursor(value, id) {
+  return Buffer.from(JSON.stringify([value, id])).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  if (!cursor) return null;
+  try {
+    const [value, id] = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    return Number.isInteger(id) ? { value: value == null ? "" : String(value), id } : null;
+  } catch (_err) {
+    return null;
+  }
+}
+
+// Keyset pagination over (sort column, id): pages stay stable while new
+// draws are saved, unlike OFFSET.
+function queryDraws(query = {}) {
+  const clauses = ["d.deleted_at IS NULL"];
+  const params = [];
+  if (query.from) {
+    clauses.push("d.draw_date >= ?");
+    params.push(String(query.from));
+  }
+  if (query.to) {
+    clauses.push("d.draw_date <= ?");
+    params.push(String(query.to));
+  }
+  if (query.region) {
+    clauses.push("s.region = ?");
+    params.push(String(query.region));
+  }
+  if (query.station) {
+    clauses.push("s.name = ?");
+    params.push(String(query.station));
+  }
+  if (Array.isArray(query.sources) && query.sources.length) {
+    clauses.push(`d.source IN (${query.sources.map(() => "?").join(",")})`);
+    params.push(...query.sources.map((source) => String(source)));
+  }
+  if (VERIFY_STATUSES.includes(query.verifyStatus)) {
+    clauses.push("d.verify_status = ?");
+    params.push(query.verifyStatus);
+  }
+  // A two-digit number matches lô tails; longer numbers match whole prizes.
+  const number = cleanDigits(query.number);
+  if (number) {
+    clauses.push(
+      `EXISTS (SELECT 1 FROM numbers n WHERE n.draw_id = d.id AND n.${number.length === 2 ? "tail" : "value"} = ?)`
+    );
+    params.push(number);
+  }
+
+  const sortColumn = QUERY_SORTS[query.sort] || "d.id";
+  const descending = query.order !== "asc";
+  const database = getDb();
+  const total = database
+    .prepare(
+      `SELECT COUNT(*) AS total FROM draws d JOIN stations s ON s.id = d.station_id
+       WHERE ${clauses.join(" AND ")}`
+    )
+    .get(...params).total;
+
+  const cursor = decodeCursor(query.cursor);
+  if (cursor) {
+    const op = descending ? "<" : ">";
+    if (sortColumn === "d.id") {
+      clauses.push(`d.id ${op} ?`);
+      params.push(cursor.id);
+    } else {
+      clauses.push(`(${sortColumn} ${op} ? OR (${sortColumn} = ? AND d.id ${op} ?))`);
+      params.push(cursor.value, cursor.value, cursor.id);
+    }
+  }
+
+  const limit = Math.min(MAX_QUERY_LIMIT, Math.max(1, Number(query.limit) || 50));
+  const direction = descending ? "DESC" : "ASC";
+  const orderSql =
+    sortColumn === "d.id" ? `d.id ${direction}` : `${sortColumn} ${direction}, d.id ${direction}`;
+  const rows = loadDraws(
+    `WHERE ${clauses.join(" AND ")} ORDER BY ${orderSql} LIMIT ?`,
+    [...params, limit + 1]
+  );
+
+  const items = rows.slice(0, limit);
+  const last = items[items.length - 1];
+  const sortValue = {
+    "d.draw_date": last?.drawDate,
+    "d.saved_at": last?.date,
+    "s.name": last?.station
+  }[sortColumn];
+  return {
+    items,
+    total,
+    nextCursor: rows.length > limit ? encodeCursor(sortValue ?? null, last.id) : null
+  };
+}
+
+function findDrawById(id) {
+  return loadDraws("WHERE d.id = ?", [Number(id)])[0] || null;
+}
+
+function findDrawByKey(drawKey) {
+  if (!drawKey) return null;
+  getDb();
+  const row = statements.findDrawIdByKey.get(String(drawKey));
+  if (!row) return null;
+  return loadDraws("WHERE d.id = ?", [row.id])[0] || null;
+}
+
+function listDrawsWithoutKey() {
+  return loadDraws("WHERE d.draw_key IS NULL AND d.deleted_at IS NULL ORDER BY d.id", []);
+}
+
+function setDrawKey(id, drawKey) {
+  getDb();
+  statements.setDrawKey.run(drawKey ? String(drawKey) : null, Number(id));
+}
+
+function listNonIsoDrawDates() {
+  return getDb()
+    .prepare(
+      `SELECT id, draw_date AS drawDate FROM draws
+       WHERE draw_date <> '' AND draw_date NOT GLOB '[0-9][0-9][0-9][0-9]-[0-9][0-9]-[0-9][0-9]'`
+    )
+    .all();
+}
+
+function setDrawDate(id, drawDate) {
+  getDb();
+  statements.setDrawDate.run(String(drawDate || ""), Number(id));
+}
+
+function listStations() {
+  return getDb().prepare("SELECT id, name, region FROM stations ORDER BY name").all();
+}
+
+function setStationRegion(id, region) {
+  getDb();
+  statements.setStationRegion.run(region || null, Number(id));
+}
+
+function countTailsByStation(filters = {}) {
+  const region = String(filters.region || "").trim();
+  return getDb()
+    .prepare(
+      `SELECT s.name AS station, n.tail AS number, COUNT(*) AS count
+       FROM numbers n
+       JOIN draws d ON d.id = n.draw_id
+       JOIN stations s ON s.id = d.station_id
+       WHERE d.deleted_at IS NULL ${region ? "AND s.region = ?" : ""}
+         ${filters.verifiedOnly ? "AND d.verify_status = 'verified'" : ""}
+       GROUP BY s.name, n.tail
+       ORDER BY count DESC, s.name, n.tail`
+    )
+    .all(...(region ? [region] : []));
+}
+
+// One row per saved number, ordered by draw within each station, for gap
+// statistics. Live tickets are skipped: their missing prizes would read as
+// absent tails. `filters.prize = "gdb"` keeps only the special prize;
+// otherwise only full tickets are listed and `prizeKey` lets the caller
+// check each draw against its prize template.
+function listTailsByDraw(filters = {}) {
+  const specialOnly = filters.prize === "gdb";
+  const clauses = ["d.deleted_at IS NULL", "d.draw_date <> ''", "d.source <> 'crawler-live'"];
+  const params = [];
+  if (!specialOnly) {
+    clauses.push("d.has_ticket = 1");
+  }
+  if (filters.region) {
+    clauses.push("s.region = ?");
+    params.push(String(filters.region));
+  }
+  if (filters.station) {
+    clauses.push("s.name = ?");
+    params.push(String(filters.station));
+  }
+  if (filters.verifiedOnly) {
+    clauses.push("d.verify_status = 'verified'");
+  }
+  return getDb()
+    .prepare(
+      `SELECT s.name AS station, s.region AS region, d.id AS drawId, d.draw_date AS drawDate,
+              p.prize_key AS prizeKey, n.tail AS tail
+       FROM numbers n
+       JOIN draws d ON d.id = n.draw_id
+       JOIN stations s ON s.id = d.station_id
+       JOIN prize_rows p ON p.id = n.prize_row_id ${specialOnly ? "AND p.prize_key = 'gdb'" : ""}
+       WHERE ${clauses.join(" AND ")}
+       ORDER BY s.name, d.draw_date, d.id`
+    )
+    .all(...params);
+}
+
+function toJackpot(value) {
+  const amount = Number(value);
+  return Number.isFinite(amount) && amount > 0 ? Math.round(amount) : null;
+}
+
+function toVietlottParams(item) {
+  return {
+    game: String(item?.game || ""),
+    drawNo: String(item?.drawNo || ""),
+    drawDate: String(item?.drawDate || ""),
+    savedAt: String(item?.date || new Date().toISOString()),
+    source: String(item?.source || ""),
+    rawText: item?.rawText == null ? null : String(item.rawText),
+    jackpot1: toJackpot(item?.jackpot1),
+    jackpot2: toJackpot(item?.jackpot2),
+    drawKey: item?.drawKey ? String(item.drawKey) : null
+  };
+}
+
+function writeVietlottNumbers(drawId, item) {
+  let position = 0;
+  (Array.isArray(item?.prizes) ? item.prizes : []).forEach((row) => {
+    (Array.isArray(row?.numbers) ? row.numbers : []).forEach((raw) => {
+      const value = cleanDigits(raw);
+      if (!value) return;
+      statements.insertVietlottNumber.run(drawId, String(row.key || ""), position, value);
+      position += 1;
+    });
+  });
+}
+
+function insertVietlottDraw(item) {
+  return getDb().transaction(() => {
+    const drawId = Number(statements.insertVietlottDraw.run(toVietlottParams(item)).lastInsertRowid);
+    writeVietlottNumbers(drawId, item);
+    return drawId;
+  })();
+}
+
+function updateVietlottDraw(id, item) {
+  const drawId = Number(id);
+  getDb().transaction(() => {
+    statements.updateVietlottDraw.run({ ...toVietlottParams(item), id: drawId });
+    statements.deleteVietlottNumbers.run(drawId);
+    writeVietlottNumbers(drawId, item);
+  })();
+  return drawId;
+}
+
+function loadVietlottDraws(whereSql, params) {
+  const database = getDb();
+  const draws = database.prepare(`SELECT * FROM vietlott_draws ${whereSql}`).all(...params);
+  if (!draws.length) return [];
+
+  const ids = draws.map((draw) => draw.id);
+  const numberRows = database
+    .prepare(
+      `SELECT draw_id, prize_key, value FROM vietlott_numbers
+       WHERE draw_id IN (${ids.map(() => "?").join(",")}) ORDER BY draw_id, position`
+    )
+    .all(...ids);
+
+  const prizesByDraw = new Map();
+  numberRows.forEach((row) => {
+    if (!prizesByDraw.has(row.draw_id)) prizesByDraw.set(row.draw_id, []);
+    const prizes = prizesByDraw.get(row.draw_id);
+    let target = prizes.find((prize) => prize.key === row.prize_key);
+    if (!target) {
+      target = { key: row.prize_key, numbers: [] };
+      prizes.push(target);
+    }
+    target.numbers.push(row.value);
+  });
+
+  return draws.map((draw) => ({
+    id: draw.id,
+    drawKey: draw.draw_key || "",
+    game: draw.game,
+    drawNo: draw.draw_no,
+    drawDate: draw.draw_date,
+    date: draw.saved_at,
+    source: draw.source,
+    rawText: draw.raw_text || "",
+    jackpot1: draw.jackpot1,
+    jackpot2: draw.jackpot2,
+    prizes: prizesByDraw.get(draw.id) || []
+  }));
+}
+
+function findVietlottDrawByKey(drawKey) {
+  if (!drawKey) return null;
+  getDb();
+  const row = statements.findVietlottDrawIdByKey.get(String(drawKey));
+  if (!row) return null;
+  return loadVietlottDraws("WHERE id = ?", [row.id])[0] || null;
+}
+
+function listVietlottDraws(game, limit = 50) {
+  const safeLimit = Math.max(1, Number(limit) || 1);
+  return loadVietlottDraws("WHERE game = ? ORDER BY draw_date DESC, draw_no DESC, id DESC LIMIT ?", [
+    String(game || ""),
+    safeLimit
+  ]);
+}
+
+function countVietlottDraws(game) {
+  return getDb()
+    .prepare("SELECT COUNT(*) AS total FROM vietlott_draws WHERE game = ?")
+    .get(String(game || "")).total;
+}
+
+function countVietlottNumbers(game) {
+  return getDb()
+    .prepare(
+      `SELECT n.prize_key AS prizeKey, n.value AS number, COUNT(*) AS count
+       FROM vietlott_numbers n
+       JOIN vietlott_draws d ON d.id = n.draw_id
+       WHERE d.game = ?
+       GROUP BY n.prize_key, n.value
+       ORDER BY count DESC, n.value`
+    )
+    .all(String(game || ""));
+}
+
+// Pairs are counted within one draw and ignore the Power 6/55 bonus ball.
+function countVietlottPairs(game, limit = 20) {
+  return getDb()
+    .prepare(
+      `SELECT a.value AS first, b.value AS second, COUNT(DISTINCT a.draw_id) AS count
+       FROM vietlott_numbers a
+       JOIN vietlott_numbers b ON b.draw_id = a.draw_id AND b.value > a.value
+       JOIN vietlott_draws d ON d.id = a.draw_id
+       WHERE d.game = ? AND a.prize_key <> 'bonus' AND b.prize_key <> 'bonus'
+       GROUP BY a.value, b.value
+       ORDER BY count DESC, a.value, b.value
+       LIMIT ?`
+    )
+    .all(String(game || ""), Math.max(1, Number(limit) || 1));
+}
+
+function listVietlottJackpots(game) {
+  return getDb()
+    .prepare(
+      `SELECT draw_no AS drawNo, draw_date AS drawDate, jackpot1, jackpot2
+       FROM vietlott_draws
+       WHERE game = ? AND (jackpot1 IS NOT NULL OR jackpot2 IS NOT NULL)
+       ORDER BY draw_date, draw_no`
+    )
+    .all(String(game || ""));
+}
+
+// Deleted draws give up their identity so the same draw can be saved again;
+// restoring assigns it back.
+function softDeleteDraws(ids) {
+  const database = getDb();
+  const deletedAt = new Date().toISOString();
+  return database.transaction(() =>
+    ids.reduce((total, id) => total + statements.softDeleteDraw.run(deletedAt, Number(id)).changes, 0)
+  )();
+}
+
+function restoreDraw(id, drawKey) {
+  getDb();
+  return statements.restoreDraw.run(drawKey ? String(drawKey) : null, Number(id)).changes > 0;
+}
+
+function listDeletedDraws(limit = 100) {
+  const safeLimit = Math.max(1, Number(limit) || 1);
+  return loadDraws("WHERE d.deleted_at IS NOT NULL ORDER BY d.deleted_at DESC, d.id DESC LIMIT ?", [
+    safeLimit
+  ]);
+}
+
+function purgeDeletedDraws(ids) {
+  const database = getDb();
+  if (!Array.isArray(ids)) {
+    return database.prepare("DELETE FROM draws WHERE deleted_at IS NOT NULL").run().changes;
+  }
+  const statement = database.prepare("DELETE FROM draws WHERE id = ? AND deleted_at IS NOT NULL");
+  return database.transaction(() =>
+    ids.reduce((total, id) => total + statement.run(Number(id)).changes, 0)
+  )();
+}
+
+function insertCrawlRun(run) {
+  getDb();
+  return Number(
+    statements.insertCrawlRun.run({
+      startedAt: String(run.startedAt || new Date().toISOString()),
+      finishedAt: String(run.finishedAt || new Date().toISOString()),
+      trigger: String(run.trigger || ""),
+      adapterId: String(run.adapterId || ""),
+      url: String(run.url || ""),
+      path: String(run.path || ""),
+      durationMs: Number.isFinite(run.durationMs) ? Math.round(run.durationMs) : null,
+      status: String(run.status || ""),
+      prizesFound: Number(run.prizesFound) || 0,
+      stations: Array.isArray(run.stations) ? JSON.stringify(run.stations) : null,
+      error: String(run.error || ""),
+      snapshot: String(run.snapshot || "")
+    }).lastInsertRowid
+  );
+}
+
+function listCrawlRuns(filters = {}) {
+  const clauses = [];
+  const params = [];
+  if (filters.status) {
+    clauses.push("status = ?");
+    params.push(String(filters.status));
+  }
+  if (filters.trigger) {
+    clauses.push("run_trigger = ?");
+    params.push(String(filters.trigger));
+  }
+  if (filters.adapterId) {
+    clauses.push("adapter_id = ?");
+    params.push(String(filters.adapterId));
+  }
+  const limit = Math.min(MAX_QUERY_LIMIT, Math.max(1, Number(filters.limit) || 100));
+  return getDb()
+    .prepare(
+      `SELECT * FROM crawl_runs ${clauses.length ? `WHERE ${clauses.join(" AND ")}` : ""}
+       ORDER BY id DESC LIMIT ?`
+    )
+    .all(...params, limit)
+    .map((row) => ({
+      id: row.id,
+      startedAt: row.started_at,
+      finishedAt: row.finished_at,
+      trigger: row.run_trigger,
+      adapterId: row.adapter_id,
+      url: row.url,
+      path: row.path,
+      durationMs: row.duration_ms,
+      status: row.status,
+      prizesFound: row.prizes_found,
+      stations: JSON.parse(row.stations || "[]"),
+      error: row.error,
+      snapshot: row.snapshot
+    }));
+}
+
+// Returns the snapshot names of the pruned rows so their files can go too.
+function pruneCrawlRuns(keep) {
+  const database = getDb();
+  const cutoff = database
+    .prepare("SELECT id FROM crawl_runs ORDER BY id DESC LIMIT 1 OFFSET ?")
+    .get(Math.max(0, Number(keep) || 0));
+  if (!cutoff) return [];
+  return database.transaction(() => {
+    const snapshots = database
+      .prepare("SELECT snapshot FROM crawl_runs WHERE id <= ? AND snapshot <> ''")
+      .all(cutoff.id)
+      .map((row) => row.snapshot);
+    database.prepare("DELETE FROM crawl_runs WHERE id <= ?").run(cutoff.id);
+    return snapshots;
+  })();
+}
+
+function toImportQueueEntry(row) {
+  return {
+    id: row.id,
+    createdAt: row.created_at,
+    folder: row.folder,
+    fileName: row.file_name,
+    filePath: row.file_path,
+    error: row.error,
+    saved: row.saved
+  };
+}
+
+function insertImportQueue(entry) {
+  getDb();
+  return Number(
+    statements.insertImportQueue.run({
+      createdAt: String(entry.createdAt || new Date().toISOString()),
+      folder: String(entry.folder || ""),
+      fileName: String(entry.fileName || ""),
+      filePath: String(entry.filePath || ""),
+      error: String(entry.error || ""),
+      saved: Number(entry.saved) || 0
+    }).lastInsertRowid
+  );
+}
+
+function listImportQueue() {
+  return getDb().prepare("SELECT * FROM import_queue ORDER BY id DESC").all().map(toImportQueueEntry);
+}
+
+function findImportQueueEntry(id) {
+  const row = getDb().prepare("SELECT * FROM import_queue WHERE id = ?").get(Number(id));
+  return row ? toImportQueueEntry(row) : null;
+}
+
+function deleteImportQueueEntry(id) {
+  return getDb().prepare("DELETE FROM import_queue WHERE id = ?").run(Number(id)).changes;
+}
+
+function clearDraws() {
+  const database = getDb();
+  database.transaction(() => {
+    database.prepare("DELETE FROM numbers").run();
+    database.prepare("DELETE FROM prize_rows").run();
+    database.prepare("DELETE FROM draws").run();
+  })();
+}
+
+module.exports = {
+  dbPath,
+  backupDir,
+  getSchemaVersion,
+  createBackup,
+  listBackups,
+  restoreBackup,
+  getLastRecovery,
+  getMeta,
+  setMeta,
+  countDraws,
+  insertDraws,
+  updateDraw,
+  runInTransaction,
+  listDraws,
+  listDrawsInRange,
+  queryDraws,
+  findDrawById,
+  findDrawByKey,
+  listDrawsWithoutKey,
+  setDrawKey,
+  listNonIsoDrawDates,
+  setDrawDate,
+  listStations,
+  setStationRegion,
+  countTailsByStation,
+  listTailsByDraw,
+  clearDraws,
+  softDeleteDraws,
+  restoreDraw,
+  listDeletedDraws,
+  purgeDeletedDraws,
+  insertVietlottDraw,
+  updateVietlottDraw,
+  findVietlottDrawByKey,
+  listVietlottDraws,
+  countVietlottDraws,
+  countVietlottNumbers,
+  countVietlottPairs,
+  listVietlottJackpots,
+  insertCrawlRun,
+  listCrawlRuns,
+  insertImportQueue,
+  listImportQueue,
+  findImportQueueEntry,
+  deleteImportQueueEntry,
+  pruneCrawlRuns
+};
@@ -0,0 +1,168 @@
+const ExcelJS = require("exceljs");
+const fs = require("fs-extra");
+const path = require("path");
+
+const SUPPORTED_FORMATS = ["csv", "xlsx", "json"];
+const TABLE_COLUMNS = [
+  "draw_date",
+  "region",
+  "station",
+  "prize",
+  "prize_label",
+  "position",
+  "number",
+  "special_codes",
+  "source"
+];
+
+function detectFormat(filePath, format) {
+  const value = String(format || path.extname(String(filePath || "")).slice(1)).toLowerCase();
+  if (!SUPPORTED_FORMATS.includes(value)) {
+    throw new Error(`Định dạng file không hỗ trợ: ${value || "(không rõ)"}`);
+  }
+  return value;
+}
+
+function escapeCsvCell(value) {
+  const text = String(value ?? "");
+  return /[",;\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Excel needs the BOM to open UTF-8 station names correctly.
+function toCsv(rows) {
+  const lines = [TABLE_COLUMNS.join(",")].concat(
+    rows.map((row) => TABLE_COLUMNS.map((column) => escapeCsvCell(row[column])).join(","))
+  );
+  return `\uFEFF${lines.join("\r\n")}\r\n`;
+}
+
+// Excel in Vietnamese locales saves CSV with ";" instead of ",".
+function detectDelimiter(headerLine) {
+  const semicolons = (headerLine.match(/;/g) || []).length;
+  const commas = (headerLine.match(/,/g) || []).length;
+  return semicolons > commas ? ";" : ",";
+}
+
+function parseCsv(text) {
+  const source = String(text || "").replace(/^\uFEFF/, "");
+  const delimiter = detectDelimiter(source.split(/\r?\n/, 1)[0] || "");
+  const records = [];
+  let record = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let index = 0; index < source.length; index += 1) {
+    const char = source[index];
+    if (quoted) {
+      if (char === '"' && source[index + 1] === '"') {
+        cell += '"';
+        index += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      record.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && source[index + 1] === "\n") index += 1;
+      record.push(cell);
+      records.push(record);
+      record = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  if (cell || record.length) {
+    record.push(cell);
+    records.push(record);
+  }
+
+  return records.filter((item) => item.some((value) => String(value).trim()));
+}
+
+function toRowObjects(records) {
+  if (!records.length) return [];
+  const headers = records[0].map((header) => String(header || "").trim().toLowerCase());
+  return records.slice(1).map((record, index) => {
+    const row = { rowNumber: index + 2 };
+    headers.forEach((header, column) => {
+      if (header) row[header] = String(record[column] ?? "").trim();
+    });
+    return row;
+  });
+}
+
+// Writes to a temp file beside the target and renames it into place, so a
+// crash never leaves a half-written export behind.
+async function writeAtomically(filePath, write) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  await fs.ensureDir(path.dirname(filePath));
+  try {
+    await write(tempPath);
+    await fs.rename(tempPath, filePath);
+  } catch (err) {
+    await fs.remove(tempPath);
+    throw err;
+  }
+}
+
+async function writeTable(filePath, format, rows) {
+  if (format === "csv") {
+    await writeAtomically(filePath, (tempPath) => fs.writeFile(tempPath, toCsv(rows), "utf8"));
+    return;
+  }
+
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet("KQXS");
+  // Text format keeps leading zeros such as G8 "05".
+  sheet.columns = TABLE_COLUMNS.map((column) => ({
+    header: column,
+    key: column,
+    width: column === "station" || column === "prize_label" ? 18 : 12,
+    style: { numFmt: "@" }
+  }));
+  rows.forEach((row) => {
+    sheet.addRow(TABLE_COLUMNS.map((column) => (row[column] == null ? "" : String(row[column]))));
+  });
+  sheet.getRow(1).font = { bold: true };
+  sheet.views = [{ state: "frozen", ySplit: 1 }];
+  await writeAtomically(filePath, (tempPath) => workbook.xlsx.writeFile(tempPath));
+}
+
+async function readTable(filePath, format) {
+  if (format === "csv") {
+    return toRowObjects(parseCsv(await fs.readFile(filePath, "utf8")));
+  }
+
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.readFile(filePath);
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+
+  const records = [];
+  sheet.eachRow({ includeEmpty: false }, (row) => {
+    const values = [];
+    for (let column = 1; column <= row.cellCount; column += 1) {
+      values.push(row.getCell(column).text);
+    }
+    records.push(values);
+  });
+  return toRowObjects(records);
+}
+
+module.exports = {
+  SUPPORTED_FORMATS,
+  TABLE_COLUMNS,
+  detectFormat,
+  writeAtomically,
+  writeTable,
+  readTable
+};
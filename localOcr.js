@@ -0,0 +1,133 @@
+const path = require("path");
+const { createWorker } = require("tesseract.js");
+const vieData = require("@tesseract.js-data/vie");
+const engData = require("@tesseract.js-data/eng");
+
+// "vie" reads labels, station names and dates; "digits" is the English model
+// restricted to 0-9 and the space. It only re-reads the numbers, which the
+// Vietnamese model tends to run together or mix up with look-alike letters.
+const MODELS = {
+  vie: {
+    data: vieData,
+    parameters: { preserve_interword_spaces: "1" }
+  },
+  digits: {
+    data: engData,
+    parameters: { tessedit_char_whitelist: "0123456789 ", preserve_interword_spaces: "1" }
+  }
+};
+const MIN_WORD_OVERLAP = 0.5;
+
+const workers = new Map();
+
+// Language files are read by the worker thread, which cannot see inside
+// app.asar; package.json unpacks them next to it.
+function unpackedPath(target) {
+  return target.replace(`app.asar${path.sep}`, `app.asar.unpacked${path.sep}`);
+}
+
+function getWorker(name) {
+  if (!workers.has(name)) {
+    const { data, parameters } = MODELS[name];
+    const starting = createWorker(data.code, 1, {
+      langPath: unpackedPath(data.langPath),
+      gzip: data.gzip,
+      cacheMethod: "none"
+    }).then(async (worker) => {
+      await worker.setParameters(parameters);
+      return worker;
+    });
+    starting.catch(() => workers.delete(name));
+    workers.set(name, starting);
+  }
+  return workers.get(name);
+}
+
+function toImageBuffer(imageDataUrl) {
+  const match = /^data:image\/[a-z0-9.+-]+;base64,(.+)$/i.exec(String(imageDataUrl || ""));
+  if (!match) {
+    throw new Error("Dữ liệu ảnh không hợp lệ");
+  }
+  return Buffer.from(match[1], "base64");
+}
+
+async function readLines(name, image) {
+  const worker = await getWorker(name);
+  const { data } = await worker.recognize(image, {}, { text: true, blocks: true });
+  const lines = (data.blocks || []).flatMap((block) =>
+    block.paragraphs.flatMap((paragraph) => paragraph.lines)
+  );
+  return { lines, confidence: data.confidence };
+}
+
+function overlapRatio(word, other) {
+  const width = Math.min(word.bbox.x1, other.bbox.x1) - Math.max(word.bbox.x0, other.bbox.x0);
+  const height = Math.min(word.bbox.y1, other.bbox.y1) - Math.max(word.bbox.y0, other.bbox.y0);
+  if (width <= 0 || height <= 0) return 0;
+  const area = (word.bbox.x1 - word.bbox.x0) * (word.bbox.y1 - word.bbox.y0);
+  return area > 0 ? (width * height) / area : 0;
+}
+
+// Dates and times keep the Vietnamese reading: the digit model has no
+// separators and would turn 19/10/2026 into one long number.
+function looksNumeric(text) {
+  const compact = String(text || "").replace(/[.,:;]+$/, "");
+  if (/[^0-9A-Za-z]/.test(compact)) return false;
+  const digits = compact.replace(/\D/g, "").length;
+  return compact.length >= 2 && digits * 2 >= compact.length;
+}
+
+// Numeric words from the Vietnamese pass are replaced by the digit-only
+// reading of the same area; everything else keeps the Vietnamese text.
+function mergeLines(vieLines, digitLines) {
+  const digitWords = digitLines
+    .flatMap((line) => line.words)
+    .filter((word) => /^\d+$/.test(word.text));
+
+  return vieLines
+    .map((line) =>
+      line.words
+        .map((word) => {
+          if (!looksNumeric(word.text)) return word.text;
+          const matches = digitWords
+            .filter((digit) => overlapRatio(digit, word) >= MIN_WORD_OVERLAP)
+            .sort((a, b) => a.bbox.x0 - b.bbox.x0);
+          return matches.length ? matches.map((digit) => digit.text).join(" ") : word.text;
+        })
+        .join(" ")
+        .trim()
+    )
+    .filter(Boolean)
+    .join("\n");
+}
+
+// Returns plain text with one printed line per line, ready for
+// parseManualKQXS.
+async function recognizeBuffer(image) {
+  const vie = await readLines("vie", image);
+  const digits = await readLines("digits", image);
+  return {
+    text: mergeLines(vie.lines, digits.lines),
+    confidence: Math.round(vie.confidence) / 100
+  };
+}
+
+function recognizeImage(imageDataUrl) {
+  return recognizeBuffer(toImageBuffer(imageDataUrl));
+}
+
+async function terminate() {
+  const pending = Array.from(workers.values());
+  workers.clear();
+  await Promise.all(
+    pending.map((starting) =>
+      starting.then((worker) => worker.terminate()).catch(() => {})
+    )
+  );
+}
+
+module.exports = {
+  recognizeBuffer,
+  recognizeImage,
+  terminate
+};
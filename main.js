@@ -1,7 +1,7 @@
 require("dotenv").config({ quiet: true })
 require('electron-reload')(__dirname);
 
-const { app, BrowserWindow, ipcMain, dialog } = require("electron")
+const { app, BrowserWindow, ipcMain, dialog, shell, clipboard, Notification } = require("electron")
 const
     OpenAI = require("openai")
 const { execFile, spawn } = require("node:child_process")
@@ -17,9 +17,11 @@ autoUpdater.autoDownload = false
 autoUpdater.autoInstallOnAppQuit = true
 
 const DEFAULT_AI_MODEL = "gpt-4o-mini"
+const OCR_BACKENDS = ["local", "openai"]
 const DEFAULT_OLLAMA_HOST = String(process.env.OLLAMA_HOST || "http://127.0.0.1:11434")
 const ADB_DEFAULT_TCP_PORT = 5555
 const APP_REMOTE_DEFAULT_PORT = 17321
+const CLIPBOARD_POLL_MS = 1500
 const LOCAL_TOOLS_DIR = path.join(__dirname, "tools")
 const LOCAL_PLATFORM_TOOLS_DIR = path.join(LOCAL_TOOLS_DIR, "platform-tools")
 const LOCAL_AUTOMA_DIR = path.join(LOCAL_TOOLS_DIR, "automa")
@@ -76,14 +78,17 @@ const OLLAMA_PRESET_CATALOG = [
 let runtimeAiConfig = {
   apiKey: String(process.env.OPENAI_API_KEY || ""),
   model: DEFAULT_AI_MODEL,
-  ollamaHost: DEFAULT_OLLAMA_HOST
+  ollamaHost: DEFAULT_OLLAMA_HOST,
+  ocrBackend: ""
 }
 let openaiClient = null
 let openaiClientApiKey = ""
 let autoAgentRef = null
+let localOcrRef = null
 let mainWindowRef = null
 let appRemoteServer = null
 let appRemoteServerPort = APP_REMOTE_DEFAULT_PORT
+let clipboardWatch = null
 
 function isAllowedInAppUrl(rawUrl) {
   const value = String(rawUrl || "").trim()
@@ -567,10 +572,6 @@ function normalizeImageDataUrl(rawImageDataUrl) {
   return value
 }
 
-function cleanDigits(text) {
-  return String(text || "").replace(/\D/g, "")
-}
-
 function toBaseUrl(rawUrl, fallback = DEFAULT_OLLAMA_HOST) {
   const value = String(rawUrl || "").trim()
   const seed = value || fallback
@@ -724,28 +725,17 @@ async function ensurePresetReady(presetId, hostHint) {
   throw new Error(attempts.length ? attempts.join(" | ") : "Không pull được preset")
 }
 
+// History items come from the store already in ticket shape (see
+// toStoredItem in autoAgent.js); only loose copies lack a ticket.
 function toCompactTicket(item) {
-  const ticket = item?.ticket && typeof item.ticket === "object" ? item.ticket : null
-  const station = String(ticket?.station || item?.station || "").trim() || "Chưa rõ đài"
-  const drawDate = String(ticket?.drawDate || "").trim()
-  const db = cleanDigits(ticket?.giaiDB || item?.giaiDB || "")
-  const g7 = Array.isArray(ticket?.giai7 || item?.giai7)
-    ? (ticket?.giai7 || item?.giai7).map((n) => cleanDigits(n)).filter(Boolean)
-    : []
-  const g8 = Array.isArray(ticket?.giai8 || item?.giai8)
-    ? (ticket?.giai8 || item?.giai8).map((n) => cleanDigits(n)).filter(Boolean)
-    : []
-  const numbers = Array.isArray(item?.numbers)
-    ? item.numbers.map((n) => cleanDigits(n)).filter(Boolean).slice(0, 40)
-    : []
-
+  const ticket = item.ticket
   return {
-    station,
-    drawDate,
-    db,
-    g7,
-    g8,
-    numbers
+    station: item.station,
+    drawDate: item.drawDate,
+    db: ticket ? ticket.giaiDB : "",
+    g7: ticket ? ticket.giai7 : [],
+    g8: ticket ? ticket.giai8 : [],
+    numbers: item.numbers.slice(0, 40)
   }
 }
 
@@ -805,6 +795,54 @@ function getAutoAgent() {
   return autoAgentRef
 }
 
+function getLocalOcr() {
+  if (!localOcrRef) {
+    localOcrRef = require("./localOcr")
+  }
+  return localOcrRef
+}
+
+// Without an explicit choice, users with an API key keep OpenAI Vision.
+function resolveOcrBackend(hint) {
+  const backend = String(hint || runtimeAiConfig.ocrBackend || "")
+  if (OCR_BACKENDS.includes(backend)) return backend
+  return runtimeAiConfig.apiKey ? "openai" : "local"
+}
+
+// Offline stand-in for the Lens+AI answer: the OCR text is run through the
+// manual KQXS parser and printed back as one prize per line.
+function formatLocalLensResult(text, stationHint) {
+  let previews = []
+  try {
+    previews = getAutoAgent().previewManualCopy(text, stationHint)
+  } catch (_err) {
+    previews = []
+  }
+
+  const summary = previews.length
+    ? `Nhận diện ${previews.length} bảng KQXS: ${previews
+        .map((item) => `${item.station} ${item.drawDate} (${Math.round(item.validation.confidence * 100)}%)`)
+        .join(", ")}`
+    : "Không nhận ra bảng KQXS trong vùng quét."
+  const tables = previews.map((item) =>
+    [
+      `${item.station} - ${item.drawDate}`,
+      ...item.ticket.prizes.map((row) => `${row.label}: ${row.numbers.join(" ")}`)
+    ].join("\n")
+  )
+
+  return [
+    "1) Nội dung chính nhận được",
+    text || "(trống)",
+    "",
+    "2) Kết luận nhanh",
+    summary,
+    "",
+    "3) Bảng chuẩn hoá",
+    tables.join("\n\n") || "(không có)"
+  ].join("\n")
+}
+
 function createWindow() {
   const win = new BrowserWindow({
     width: 1600,
@@ -831,9 +869,160 @@ function createWindow() {
   win.loadFile("index.html")
 }
 
-app.whenReady().then(createWindow)
+function sendBackfillProgress(status) {
+  if (!mainWindowRef || mainWindowRef.isDestroyed()) return
+  mainWindowRef.webContents.send("kqxs:backfill-progress", status)
+}
+
+function sendLiveUpdate(update) {
+  if (!mainWindowRef || mainWindowRef.isDestroyed()) return
+  mainWindowRef.webContents.send("kqxs:live-update", update)
+}
+
+function sendSchedulerStatus(status) {
+  if (!mainWindowRef || mainWindowRef.isDestroyed()) return
+  mainWindowRef.webContents.send("kqxs:scheduler-update", status)
+}
+
+function sendFolderImport(event) {
+  if (!mainWindowRef || mainWindowRef.isDestroyed()) return
+  mainWindowRef.webContents.send("kqxs:folder-import", event)
+}
+
+async function restoreScheduler() {
+  try {
+    const autoAgent = getAutoAgent()
+    const status = await autoAgent.getSchedulerStatus()
+    if (status.enabledOnStartup) {
+      await autoAgent.startScheduler(sendSchedulerStatus)
+    }
+  } catch (err) {
+    console.error("Scheduler start error:", err.message)
+  }
+}
+
+function formatNotificationDate(isoDate) {
+  const [year, month, day] = String(isoDate || "").split("-")
+  return day ? `${day}/${month}/${year}` : ""
+}
+
+async function saveClipboardTickets(text, html) {
+  try {
+    const autoAgent = getAutoAgent()
+    const { items, status } = await autoAgent.saveManualCopy(text, {}, { html })
+    if (mainWindowRef && !mainWindowRef.isDestroyed()) {
+      mainWindowRef.webContents.send("kqxs:clipboard-saved", { ok: true, status, count: items.length })
+    }
+  } catch (err) {
+    if (mainWindowRef && !mainWindowRef.isDestroyed()) {
+      mainWindowRef.webContents.send("kqxs:clipboard-saved", { ok: false, error: err.message })
+    }
+  }
+}
+
+function notifyClipboardTickets(text, html, tickets) {
+  const label = tickets
+    .map((ticket) => `${ticket.station} ${formatNotificationDate(ticket.drawDate)}`.trim())
+    .join(", ")
+  const notification = new Notification({
+    title: "Phát hiện KQXS vừa copy",
+    body: `${label}. Bấm để lưu vào lịch sử.`,
+    actions: [{ type: "button", text: "Lưu" }]
+  })
+  let saved = false
+  const save = () => {
+    if (saved) return
+    saved = true
+    saveClipboardTickets(text, html)
+  }
+  notification.on("click", save)
+  notification.on("action", save)
+  notification.show()
+  // Keeps the notification referenced until the next one so its handlers
+  // are not garbage-collected.
+  clipboardWatch.notification = notification
+}
+
+// Electron has no clipboard change event, so the text is polled; only a
+// change is parsed, and the content present when watching starts is skipped.
+async function pollClipboard() {
+  const text = clipboard.readText()
+  if (!clipboardWatch || !text.trim() || text === clipboardWatch.lastText) return
+  clipboardWatch.lastText = text
+  const html = clipboard.readHTML()
+  const tickets = await getAutoAgent().detectClipboardTickets(text, { html })
+  if (tickets.length && clipboardWatch && Notification.isSupported()) {
+    notifyClipboardTickets(text, html, tickets)
+  }
+}
+
+function startClipboardWatch() {
+  if (clipboardWatch) return
+  clipboardWatch = { lastText: clipboard.readText(), notification: null, polling: false, timer: null }
+  clipboardWatch.timer = setInterval(() => {
+    if (!clipboardWatch || clipboardWatch.polling) return
+    clipboardWatch.polling = true
+    pollClipboard()
+      .catch((err) => console.error("Clipboard watch error:", err.message))
+      .finally(() => {
+        if (clipboardWatch) clipboardWatch.polling = false
+      })
+  }, CLIPBOARD_POLL_MS)
+}
+
+function stopClipboardWatch() {
+  if (!clipboardWatch) return
+  clearInterval(clipboardWatch.timer)
+  clipboardWatch = null
+}
+
+async function restoreClipboardWatch() {
+  try {
+    const settings = await getAutoAgent().getClipboardWatchSettings()
+    if (settings.enabled) {
+      startClipboardWatch()
+    }
+  } catch (err) {
+    console.error("Clipboard watch start error:", err.message)
+  }
+}
+
+async function restoreFolderWatch() {
+  try {
+    await getAutoAgent().startFolderWatch(sendFolderImport)
+  } catch (err) {
+    console.error("Folder watch start error:", err.message)
+  }
+}
+
+// A backfill still marked running was cut off by a quit or crash.
+async function resumeInterruptedBackfill() {
+  try {
+    const autoAgent = getAutoAgent()
+    const status = await autoAgent.getBackfillStatus()
+    if (status && status.status === "running" && !status.running) {
+      await autoAgent.resumeBackfill(sendBackfillProgress)
+    }
+  } catch (err) {
+    console.error("Resume backfill error:", err.message)
+  }
+}
+
+app.whenReady().then(() => {
+  createWindow()
+  resumeInterruptedBackfill()
+  restoreScheduler()
+  restoreFolderWatch()
+  restoreClipboardWatch()
+})
 app.on("before-quit", () => {
   stopAppRemoteServer().catch(() => {})
+  if (autoAgentRef) {
+    autoAgentRef.stopFolderWatch().catch(() => {})
+  }
+  if (localOcrRef) {
+    localOcrRef.terminate().catch(() => {})
+  }
 })
 
 ipcMain.handle("ai:get-config", async () => {
@@ -841,7 +1030,8 @@ ipcMain.handle("ai:get-config", async () => {
     ok: true,
     apiKey: String(runtimeAiConfig.apiKey || ""),
     model: String(runtimeAiConfig.model || DEFAULT_AI_MODEL),
-    ollamaHost: String(runtimeAiConfig.ollamaHost || DEFAULT_OLLAMA_HOST)
+    ollamaHost: String(runtimeAiConfig.ollamaHost || DEFAULT_OLLAMA_HOST),
+    ocrBackend: resolveOcrBackend()
   }
 })
 
@@ -858,6 +1048,10 @@ ipcMain.handle("ai:set-config", async (_event, payload) => {
       if (Object.prototype.hasOwnProperty.call(payload, "ollamaHost")) {
         runtimeAiConfig.ollamaHost = toBaseUrl(payload.ollamaHost, DEFAULT_OLLAMA_HOST)
       }
+      if (Object.prototype.hasOwnProperty.call(payload, "ocrBackend")) {
+        const ocrBackend = String(payload.ocrBackend || "")
+        runtimeAiConfig.ocrBackend = OCR_BACKENDS.includes(ocrBackend) ? ocrBackend : ""
+      }
     }
 
     return { ok: true }
@@ -1222,16 +1416,22 @@ ipcMain.handle("gemini:chat", async (_event, payload) => {
 
 ipcMain.handle("lens:ocr-image", async (_event, payload) => {
   try {
-    const openai = getOpenAiClient()
-    if (!openai) {
-      return { ok: false, error: "Thiếu OPENAI_API_KEY" }
-    }
-
     const imageDataUrl = normalizeImageDataUrl(payload?.imageDataUrl)
     if (!imageDataUrl) {
       return { ok: false, error: "Thiếu dữ liệu ảnh vùng quét" }
     }
 
+    const backend = resolveOcrBackend(payload?.backend)
+    if (backend === "local") {
+      const { text, confidence } = await getLocalOcr().recognizeImage(imageDataUrl)
+      return { ok: true, backend, text, confidence }
+    }
+
+    const openai = getOpenAiClient()
+    if (!openai) {
+      return { ok: false, error: "Thiếu OPENAI_API_KEY" }
+    }
+
     const text = await runVisionPrompt(
       openai,
       "Bạn là OCR tiếng Việt. Trả về văn bản đúng thứ tự trong ảnh, không thêm giải thích.",
@@ -1239,7 +1439,7 @@ ipcMain.handle("lens:ocr-image", async (_event, payload) => {
       imageDataUrl
     )
 
-    return { ok: true, text: String(text || "").trim() }
+    return { ok: true, backend, text: String(text || "").trim() }
   } catch (err) {
     return { ok: false, error: err.message, text: "" }
   }
@@ -1247,17 +1447,20 @@ ipcMain.handle("lens:ocr-image", async (_event, payload) => {
 
 ipcMain.handle("lens:ai-process", async (_event, payload) => {
   try {
-    const openai = getOpenAiClient()
-    if (!openai) {
-      return { ok: false, error: "Thiếu OPENAI_API_KEY" }
-    }
-
     const imageDataUrl = normalizeImageDataUrl(payload?.imageDataUrl)
     if (!imageDataUrl) {
       return { ok: false, error: "Thiếu dữ liệu ảnh vùng quét" }
     }
 
+    // The OCR backend only decides how textHint was read; the AI step runs
+    // whenever a key is set and falls back to the offline parser otherwise.
     const textHint = String(payload?.textHint || "").trim()
+    const openai = getOpenAiClient()
+    if (!openai) {
+      const text = textHint || (await getLocalOcr().recognizeImage(imageDataUrl)).text
+      return { ok: true, backend: "local", result: formatLocalLensResult(text, payload?.stationHint) }
+    }
+
     const instruction = String(payload?.instruction || "").trim()
     const userPrompt = `
 ${instruction || "Phân tích nội dung vùng ảnh đã quét."}
@@ -1278,7 +1481,7 @@ ${textHint || "(không có)"}
       imageDataUrl
     )
 
-    return { ok: true, result: String(result || "").trim() }
+    return { ok: true, backend: "openai", result: String(result || "").trim() }
   } catch (err) {
     return { ok: false, error: err.message, result: "" }
   }
@@ -1666,47 +1869,292 @@ ipcMain.handle("adb:camera-shutter", async (_event, payload) => {
   }
 })
 
-ipcMain.handle("kqxs:crawl-save", async () => {
+// Handlers that change history send back the first page of the renderer's
+// current history filters, so the panel keeps what the user was browsing.
+async function loadHistoryPage(autoAgent, query) {
+  const filters = query && typeof query === "object" ? query : {}
+  const page = await autoAgent.queryHistory({ ...filters, cursor: null })
+  return { history: page.items, historyPage: { total: page.total, nextCursor: page.nextCursor } }
+}
+
+ipcMain.handle("kqxs:crawl-save", async (_event, payload) => {
   try {
     const autoAgent = getAutoAgent()
-    const data = await autoAgent.crawlKQXS()
-    const history = await autoAgent.getHistory(50)
-    return { ok: true, data, history }
+    const data = await autoAgent.crawlKQXS({ adapterId: String(payload?.adapterId || "") })
+    const { history, historyPage } = await loadHistoryPage(autoAgent, payload?.historyQuery)
+    return { ok: true, data, history, historyPage }
   } catch (err) {
     return { ok: false, error: err.message, history: [] }
   }
 })
 
-ipcMain.handle("kqxs:get-history", async () => {
+ipcMain.handle("kqxs:crawl-log", async (_event, payload) => {
   try {
     const autoAgent = getAutoAgent()
-    const history = await autoAgent.getHistory(50)
-    return { ok: true, history }
+    const log = await autoAgent.getCrawlLog({
+      status: payload?.status,
+      trigger: payload?.trigger,
+      adapterId: payload?.adapterId,
+      limit: payload?.limit
+    })
+    return { ok: true, ...log }
+  } catch (err) {
+    return { ok: false, error: err.message, runs: [] }
+  }
+})
+
+ipcMain.handle("kqxs:crawl-log-settings", async (_event, payload) => {
+  try {
+    const autoAgent = getAutoAgent()
+    const settings = await autoAgent.saveCrawlLogSettings({
+      snapshotOnFailure: payload?.snapshotOnFailure !== false
+    })
+    return { ok: true, settings }
+  } catch (err) {
+    return { ok: false, error: err.message }
+  }
+})
+
+ipcMain.handle("kqxs:open-crawl-snapshot", async (_event, payload) => {
+  try {
+    const autoAgent = getAutoAgent()
+    const filePath = await autoAgent.getCrawlSnapshotPath(payload?.snapshot)
+    // Revealed, not opened: a browser would run the crawled site's scripts
+    // from file://.
+    shell.showItemInFolder(filePath)
+    return { ok: true, filePath }
+  } catch (err) {
+    return { ok: false, error: err.message }
+  }
+})
+
+ipcMain.handle("kqxs:backfill-start", async (_event, payload) => {
+  try {
+    const autoAgent = getAutoAgent()
+    const status = await autoAgent.startBackfill(
+      {
+        from: payload?.from,
+        to: payload?.to,
+        regions: Array.isArray(payload?.regions) ? payload.regions : undefined,
+        rateLimitMs: payload?.rateLimitMs,
+        retries: payload?.retries
+      },
+      sendBackfillProgress
+    )
+    return { ok: true, status }
+  } catch (err) {
+    return { ok: false, error: err.message }
+  }
+})
+
+ipcMain.handle("kqxs:backfill-resume", async () => {
+  try {
+    const autoAgent = getAutoAgent()
+    const status = await autoAgent.resumeBackfill(sendBackfillProgress)
+    return { ok: true, status }
+  } catch (err) {
+    return { ok: false, error: err.message }
+  }
+})
+
+ipcMain.handle("kqxs:backfill-stop", async () => {
+  try {
+    const autoAgent = getAutoAgent()
+    const status = await autoAgent.stopBackfill()
+    return { ok: true, status }
+  } catch (err) {
+    return { ok: false, error: err.message }
+  }
+})
+
+ipcMain.handle("kqxs:backfill-status", async () => {
+  try {
+    const autoAgent = getAutoAgent()
+    const status = await autoAgent.getBackfillStatus()
+    return { ok: true, status }
+  } catch (err) {
+    return { ok: false, error: err.message, status: null }
+  }
+})
+
+ipcMain.handle("kqxs:live-start", async (_event, payload) => {
+  try {
+    const autoAgent = getAutoAgent()
+    const session = await autoAgent.startLiveDraw(
+      { region: String(payload?.region || ""), intervalMs: payload?.intervalMs },
+      sendLiveUpdate
+    )
+    return { ok: true, session, sessions: autoAgent.getLiveStatus() }
+  } catch (err) {
+    return { ok: false, error: err.message }
+  }
+})
+
+ipcMain.handle("kqxs:live-stop", async (_event, payload) => {
+  try {
+    const autoAgent = getAutoAgent()
+    const sessions = autoAgent.stopLiveDraw(String(payload?.region || ""))
+    return { ok: true, sessions }
+  } catch (err) {
+    return { ok: false, error: err.message }
+  }
+})
+
+ipcMain.handle("kqxs:live-status", async () => {
+  try {
+    const autoAgent = getAutoAgent()
+    return { ok: true, sessions: autoAgent.getLiveStatus() }
+  } catch (err) {
+    return { ok: false, error: err.message, sessions: [] }
+  }
+})
+
+ipcMain.handle("kqxs:scheduler-status", async () => {
+  try {
+    const autoAgent = getAutoAgent()
+    const status = await autoAgent.getSchedulerStatus()
+    return { ok: true, status }
+  } catch (err) {
+    return { ok: false, error: err.message, status: null }
+  }
+})
+
+ipcMain.handle("kqxs:scheduler-start", async () => {
+  try {
+    const autoAgent = getAutoAgent()
+    const status = await autoAgent.startScheduler(sendSchedulerStatus)
+    return { ok: true, status }
+  } catch (err) {
+    return { ok: false, error: err.message }
+  }
+})
+
+ipcMain.handle("kqxs:scheduler-stop", async () => {
+  try {
+    const autoAgent = getAutoAgent()
+    const status = await autoAgent.stopScheduler()
+    return { ok: true, status }
+  } catch (err) {
+    return { ok: false, error: err.message }
+  }
+})
+
+ipcMain.handle("kqxs:get-adapters", async () => {
+  try {
+    const autoAgent = getAutoAgent()
+    const config = await autoAgent.getSourceAdapters()
+    return { ok: true, ...config }
+  } catch (err) {
+    return { ok: false, error: err.message, adapters: [] }
+  }
+})
+
+ipcMain.handle("kqxs:save-adapters", async (_event, payload) => {
+  try {
+    const autoAgent = getAutoAgent()
+    const config = await autoAgent.saveSourceAdapters(payload?.adapters)
+    return { ok: true, ...config }
+  } catch (err) {
+    return { ok: false, error: err.message }
+  }
+})
+
+ipcMain.handle("kqxs:reset-adapters", async () => {
+  try {
+    const autoAgent = getAutoAgent()
+    const config = await autoAgent.resetSourceAdapters()
+    return { ok: true, ...config }
+  } catch (err) {
+    return { ok: false, error: err.message }
+  }
+})
+
+ipcMain.handle("kqxs:get-history", async (_event, payload) => {
+  try {
+    const autoAgent = getAutoAgent()
+    const query = payload?.query && typeof payload.query === "object" ? payload.query : {}
+    const page = await autoAgent.queryHistory(query)
+    return {
+      ok: true,
+      history: page.items,
+      historyPage: { total: page.total, nextCursor: page.nextCursor }
+    }
   } catch (err) {
     return { ok: false, error: err.message, history: [] }
   }
 })
 
-ipcMain.handle("kqxs:get-top", async () => {
+ipcMain.handle("kqxs:get-top", async (_event, payload) => {
   try {
     const autoAgent = getAutoAgent()
-    const top = await autoAgent.thongKe(10)
+    const top = await autoAgent.thongKe(10, { region: payload?.region })
     return { ok: true, top }
   } catch (err) {
     return { ok: false, error: err.message, top: [] }
   }
 })
 
-ipcMain.handle("kqxs:get-top-by-station", async () => {
+ipcMain.handle("kqxs:get-top-by-station", async (_event, payload) => {
   try {
     const autoAgent = getAutoAgent()
-    const topByStation = await autoAgent.thongKeTheoDai(3)
+    const topByStation = await autoAgent.thongKeTheoDai(3, { region: payload?.region })
     return { ok: true, topByStation }
   } catch (err) {
     return { ok: false, error: err.message, topByStation: [] }
   }
 })
 
+ipcMain.handle("kqxs:get-gan", async (_event, payload) => {
+  try {
+    const autoAgent = getAutoAgent()
+    const gan = await autoAgent.thongKeGan({
+      station: payload?.station,
+      region: payload?.region,
+      prize: payload?.prize,
+      limit: payload?.limit
+    })
+    return { ok: true, gan }
+  } catch (err) {
+    return { ok: false, error: err.message, gan: [] }
+  }
+})
+
+ipcMain.handle("kqxs:get-stats-options", async () => {
+  try {
+    const autoAgent = getAutoAgent()
+    const options = await autoAgent.getStatsOptions()
+    return { ok: true, options }
+  } catch (err) {
+    return { ok: false, error: err.message }
+  }
+})
+
+ipcMain.handle("kqxs:set-stats-options", async (_event, payload) => {
+  try {
+    const autoAgent = getAutoAgent()
+    const options = await autoAgent.setStatsOptions({ verifiedOnly: Boolean(payload?.verifiedOnly) })
+    const topByStation = await autoAgent.thongKeTheoDai(3)
+    return { ok: true, options, topByStation }
+  } catch (err) {
+    return { ok: false, error: err.message }
+  }
+})
+
+ipcMain.handle("kqxs:preview-manual-copy", async (_event, payload) => {
+  try {
+    const autoAgent = getAutoAgent()
+    const text = String(payload?.text || "")
+    const stationHint =
+      payload?.stationHint && typeof payload.stationHint === "object"
+        ? payload.stationHint
+        : {}
+    const tickets = autoAgent.previewManualCopy(text, stationHint, { html: String(payload?.html || "") })
+    return { ok: true, tickets }
+  } catch (err) {
+    return { ok: false, error: err.message, tickets: [] }
+  }
+})
+
 ipcMain.handle("kqxs:save-manual-copy", async (_event, payload) => {
   try {
     const autoAgent = getAutoAgent()
@@ -1715,16 +2163,30 @@ ipcMain.handle("kqxs:save-manual-copy", async (_event, payload) => {
       payload?.stationHint && typeof payload.stationHint === "object"
         ? payload.stationHint
         : {}
-    const saved = await autoAgent.saveManualCopy(text, stationHint)
-    const history = await autoAgent.getHistory(50)
+    const { items, status, results } = await autoAgent.saveManualCopy(text, stationHint, {
+      html: String(payload?.html || "")
+    })
+    const saved = items.length === 1 ? items[0] : items
+    const { history, historyPage } = await loadHistoryPage(autoAgent, payload?.historyQuery)
     const top = await autoAgent.thongKe(10)
     const topByStation = await autoAgent.thongKeTheoDai(3)
-    return { ok: true, saved, history, top, topByStation }
+    return { ok: true, saved, status, results, history, historyPage, top, topByStation }
   } catch (err) {
     return { ok: false, error: err.message, history: [], top: [], topByStation: [] }
   }
 })
 
+ipcMain.handle("kqxs:stations-today", async (_event, payload) => {
+  try {
+    const autoAgent = getAutoAgent()
+    const date = String(payload?.date || "").trim()
+    const schedule = autoAgent.getStationsDrawingOn(date || new Date())
+    return { ok: true, schedule }
+  } catch (err) {
+    return { ok: false, error: err.message, schedule: null }
+  }
+})
+
 ipcMain.handle("kqxs:clear-history", async () => {
   try {
     const autoAgent = getAutoAgent()
@@ -1735,6 +2197,345 @@ ipcMain.handle("kqxs:clear-history", async () => {
   }
 })
 
+ipcMain.handle("kqxs:update-entry", async (_event, payload) => {
+  try {
+    const autoAgent = getAutoAgent()
+    const changes = payload?.changes && typeof payload.changes === "object" ? payload.changes : {}
+    const { item, validation } = await autoAgent.updateEntry(payload?.id, changes)
+    const { history, historyPage } = await loadHistoryPage(autoAgent, payload?.historyQuery)
+    const topByStation = await autoAgent.thongKeTheoDai(3)
+    return { ok: true, item, validation, history, historyPage, topByStation }
+  } catch (err) {
+    return { ok: false, error: err.message }
+  }
+})
+
+ipcMain.handle("kqxs:resolve-conflict", async (_event, payload) => {
+  try {
+    const autoAgent = getAutoAgent()
+    const choices = payload?.choices && typeof payload.choices === "object" ? payload.choices : {}
+    const { item, validation } = await autoAgent.resolveConflict(payload?.id, choices)
+    const { history, historyPage } = await loadHistoryPage(autoAgent, payload?.historyQuery)
+    const topByStation = await autoAgent.thongKeTheoDai(3)
+    return { ok: true, item, validation, history, historyPage, topByStation }
+  } catch (err) {
+    return { ok: false, error: err.message }
+  }
+})
+
+ipcMain.handle("kqxs:delete-entry", async (_event, payload) => {
+  try {
+    const autoAgent = getAutoAgent()
+    const ids = Array.isArray(payload?.ids) ? payload.ids : [payload?.id]
+    const deleted = await autoAgent.deleteEntries(ids)
+    const { history, historyPage } = await loadHistoryPage(autoAgent, payload?.historyQuery)
+    const topByStation = await autoAgent.thongKeTheoDai(3)
+    return { ok: true, deleted, history, historyPage, topByStation }
+  } catch (err) {
+    return { ok: false, error: err.message }
+  }
+})
+
+ipcMain.handle("kqxs:get-deleted", async () => {
+  try {
+    const autoAgent = getAutoAgent()
+    const deleted = await autoAgent.getDeletedEntries(100)
+    return { ok: true, deleted }
+  } catch (err) {
+    return { ok: false, error: err.message, deleted: [] }
+  }
+})
+
+ipcMain.handle("kqxs:restore-entry", async (_event, payload) => {
+  try {
+    const autoAgent = getAutoAgent()
+    const item = await autoAgent.restoreEntry(payload?.id)
+    const { history, historyPage } = await loadHistoryPage(autoAgent, payload?.historyQuery)
+    const topByStation = await autoAgent.thongKeTheoDai(3)
+    const deleted = await autoAgent.getDeletedEntries(100)
+    return { ok: true, item, history, historyPage, topByStation, deleted }
+  } catch (err) {
+    return { ok: false, error: err.message }
+  }
+})
+
+ipcMain.handle("kqxs:purge-deleted", async (_event, payload) => {
+  try {
+    const autoAgent = getAutoAgent()
+    const purged = await autoAgent.purgeDeletedEntries(payload?.ids)
+    return { ok: true, purged, deleted: await autoAgent.getDeletedEntries(100) }
+  } catch (err) {
+    return { ok: false, error: err.message }
+  }
+})
+
+const HISTORY_FILE_FILTERS = [
+  { name: "Excel", extensions: ["xlsx"] },
+  { name: "CSV", extensions: ["csv"] },
+  { name: "JSON", extensions: ["json"] }
+]
+
+ipcMain.handle("kqxs:export-history", async (_event, payload) => {
+  try {
+    const autoAgent = getAutoAgent()
+    const format = String(payload?.format || "xlsx").toLowerCase()
+    const stamp = new Date().toISOString().slice(0, 10)
+    const result = await dialog.showSaveDialog({
+      title: "Xuất lịch sử KQXS",
+      defaultPath: path.join(app.getPath("documents"), `kqxs-${stamp}.${format}`),
+      filters: HISTORY_FILE_FILTERS.filter((filter) => filter.extensions.includes(format))
+    })
+    if (result.canceled || !result.filePath) {
+      return { ok: false, canceled: true }
+    }
+    const exported = await autoAgent.exportHistory(result.filePath, {
+      format,
+      from: payload?.from,
+      to: payload?.to,
+      region: payload?.region,
+      station: payload?.station
+    })
+    return { ok: true, ...exported }
+  } catch (err) {
+    return { ok: false, error: err.message }
+  }
+})
+
+ipcMain.handle("kqxs:import-history", async (_event, payload) => {
+  try {
+    const autoAgent = getAutoAgent()
+    let filePath = String(payload?.filePath || "")
+    if (!filePath) {
+      const result = await dialog.showOpenDialog({
+        title: "Nhập lịch sử KQXS",
+        filters: [{ name: "KQXS", extensions: ["xlsx", "csv", "json"] }, ...HISTORY_FILE_FILTERS],
+        properties: ["openFile"]
+      })
+      if (result.canceled || !result.filePaths.length) {
+        return { ok: false, canceled: true }
+      }
+      filePath = result.filePaths[0]
+    }
+    const dryRun = payload?.dryRun !== false
+    const report = await autoAgent.importHistoryFile(filePath, { dryRun })
+    if (dryRun) {
+      return { ok: true, ...report }
+    }
+    const { history, historyPage } = await loadHistoryPage(autoAgent, payload?.historyQuery)
+    const topByStation = await autoAgent.thongKeTheoDai(3)
+    return { ok: true, ...report, history, historyPage, topByStation }
+  } catch (err) {
+    return { ok: false, error: err.message }
+  }
+})
+
+ipcMain.handle("kqxs:import-result-file", async (_event, payload) => {
+  try {
+    const autoAgent = getAutoAgent()
+    let filePath = String(payload?.filePath || "")
+    if (!filePath) {
+      const result = await dialog.showOpenDialog({
+        title: "Nhập KQXS từ PDF / ảnh",
+        filters: [{ name: "PDF / Ảnh / Text KQXS", extensions: require("./fileImport").FILE_EXTENSIONS }],
+        properties: ["openFile"]
+      })
+      if (result.canceled || !result.filePaths.length) {
+        return { ok: false, canceled: true }
+      }
+      filePath = result.filePaths[0]
+    }
+    const dryRun = payload?.dryRun !== false
+    const report = await autoAgent.importResultFile(filePath, { dryRun })
+    if (dryRun) {
+      return { ok: true, ...report }
+    }
+    const { history, historyPage } = await loadHistoryPage(autoAgent, payload?.historyQuery)
+    const topByStation = await autoAgent.thongKeTheoDai(3)
+    return { ok: true, ...report, history, historyPage, topByStation }
+  } catch (err) {
+    return { ok: false, error: err.message }
+  }
+})
+
+ipcMain.handle("kqxs:folder-watch-status", async () => {
+  try {
+    const autoAgent = getAutoAgent()
+    const status = await autoAgent.getFolderWatchStatus()
+    const queue = await autoAgent.listImportQueue()
+    return { ok: true, status, queue }
+  } catch (err) {
+    return { ok: false, error: err.message, queue: [] }
+  }
+})
+
+ipcMain.handle("kqxs:folder-watch-add", async () => {
+  try {
+    const autoAgent = getAutoAgent()
+    const result = await dialog.showOpenDialog({
+      title: "Chọn thư mục nhận file KQXS",
+      properties: ["openDirectory"]
+    })
+    if (result.canceled || !result.filePaths.length) {
+      return { ok: false, canceled: true }
+    }
+    const current = await autoAgent.getFolderWatchStatus()
+    const status = await autoAgent.saveWatchFolders([...current.folders, result.filePaths[0]])
+    return { ok: true, status }
+  } catch (err) {
+    return { ok: false, error: err.message }
+  }
+})
+
+ipcMain.handle("kqxs:folder-watch-save", async (_event, payload) => {
+  try {
+    const autoAgent = getAutoAgent()
+    const status = await autoAgent.saveWatchFolders(Array.isArray(payload?.folders) ? payload.folders : [])
+    return { ok: true, status }
+  } catch (err) {
+    return { ok: false, error: err.message }
+  }
+})
+
+ipcMain.handle("kqxs:import-queue-retry", async (_event, payload) => {
+  try {
+    const autoAgent = getAutoAgent()
+    const { report, error: problem } = await autoAgent.retryImportQueueEntry(payload?.id)
+    const queue = await autoAgent.listImportQueue()
+    const { history, historyPage } = await loadHistoryPage(autoAgent, payload?.historyQuery)
+    const topByStation = await autoAgent.thongKeTheoDai(3)
+    return { ok: true, report, problem, queue, history, historyPage, topByStation }
+  } catch (err) {
+    return { ok: false, error: err.message }
+  }
+})
+
+ipcMain.handle("kqxs:import-queue-dismiss", async (_event, payload) => {
+  try {
+    const autoAgent = getAutoAgent()
+    await autoAgent.dismissImportQueueEntry(payload?.id)
+    const queue = await autoAgent.listImportQueue()
+    return { ok: true, queue }
+  } catch (err) {
+    return { ok: false, error: err.message }
+  }
+})
+
+ipcMain.handle("kqxs:import-queue-open", async (_event, payload) => {
+  try {
+    const autoAgent = getAutoAgent()
+    const entry = await autoAgent.getImportQueueEntry(payload?.id)
+    const error = await shell.openPath(entry.filePath)
+    if (error) {
+      throw new Error(error)
+    }
+    return { ok: true, filePath: entry.filePath }
+  } catch (err) {
+    return { ok: false, error: err.message }
+  }
+})
+
+ipcMain.handle("kqxs:clipboard-watch-status", async () => {
+  try {
+    const settings = await getAutoAgent().getClipboardWatchSettings()
+    return { ok: true, ...settings, running: Boolean(clipboardWatch) }
+  } catch (err) {
+    return { ok: false, error: err.message }
+  }
+})
+
+ipcMain.handle("kqxs:clipboard-watch-set", async (_event, payload) => {
+  try {
+    const settings = await getAutoAgent().saveClipboardWatchSettings({ enabled: Boolean(payload?.enabled) })
+    if (settings.enabled) {
+      startClipboardWatch()
+    } else {
+      stopClipboardWatch()
+    }
+    return { ok: true, ...settings, running: Boolean(clipboardWatch) }
+  } catch (err) {
+    return { ok: false, error: err.message }
+  }
+})
+
+ipcMain.handle("kqxs:list-backups", async () => {
+  try {
+    const autoAgent = getAutoAgent()
+    const info = await autoAgent.getStoreInfo()
+    return { ok: true, ...info }
+  } catch (err) {
+    return { ok: false, error: err.message, backups: [] }
+  }
+})
+
+ipcMain.handle("kqxs:create-backup", async () => {
+  try {
+    const autoAgent = getAutoAgent()
+    const fileName = await autoAgent.createBackup()
+    const info = await autoAgent.getStoreInfo()
+    return { ok: true, fileName, ...info }
+  } catch (err) {
+    return { ok: false, error: err.message }
+  }
+})
+
+ipcMain.handle("kqxs:restore-backup", async (_event, payload) => {
+  try {
+    const autoAgent = getAutoAgent()
+    const restored = await autoAgent.restoreBackup(payload?.fileName)
+    const info = await autoAgent.getStoreInfo()
+    const { history, historyPage } = await loadHistoryPage(autoAgent, payload?.historyQuery)
+    const topByStation = await autoAgent.thongKeTheoDai(3)
+    return { ok: true, restored, ...info, history, historyPage, topByStation }
+  } catch (err) {
+    return { ok: false, error: err.message }
+  }
+})
+
+ipcMain.handle("vietlott:preview", async (_event, payload) => {
+  try {
+    const autoAgent = getAutoAgent()
+    const text = String(payload?.text || "")
+    const draw = autoAgent.previewVietlott(text, String(payload?.game || ""))
+    return { ok: true, draw }
+  } catch (err) {
+    return { ok: false, error: err.message, draw: null }
+  }
+})
+
+ipcMain.handle("vietlott:save", async (_event, payload) => {
+  try {
+    const autoAgent = getAutoAgent()
+    const text = String(payload?.text || "")
+    const result = await autoAgent.saveVietlott(text, String(payload?.game || ""))
+    const stats = await autoAgent.thongKeVietlott(result.game)
+    return { ok: true, ...result, stats }
+  } catch (err) {
+    return { ok: false, error: err.message, stats: null }
+  }
+})
+
+ipcMain.handle("vietlott:get-history", async (_event, payload) => {
+  try {
+    const autoAgent = getAutoAgent()
+    const history = await autoAgent.getVietlottHistory(String(payload?.game || ""), 50)
+    return { ok: true, history }
+  } catch (err) {
+    return { ok: false, error: err.message, history: [] }
+  }
+})
+
+ipcMain.handle("vietlott:get-stats", async (_event, payload) => {
+  try {
+    const autoAgent = getAutoAgent()
+    const stats = await autoAgent.thongKeVietlott(String(payload?.game || ""), {
+      pairLimit: Number(payload?.pairLimit) || 20
+    })
+    return { ok: true, stats }
+  } catch (err) {
+    return { ok: false, error: err.message, stats: null }
+  }
+})
+
 ipcMain.handle("dialog:open-file", async (_event, payload) => {
   try {
     const result = await dialog.showOpenDialog({
@@ -0,0 +1,85 @@
+const { parseHTML } = require("linkedom");
+
+const MAX_SPAN = 50;
+// Inline tags join their text directly so a highlighted tail such as
+// 123<b>45</b> stays one number; every other element separates values.
+const INLINE_TAGS = new Set(["A", "B", "EM", "FONT", "I", "MARK", "SMALL", "STRONG", "SUB", "SUP", "U"]);
+
+function loadDocument(html) {
+  const source = String(html || "");
+  // linkedom only builds a full document from markup that has an <html> root.
+  return parseHTML(/<html[\s>]/i.test(source) ? source : `<html><body>${source}</body></html>`)
+    .document;
+}
+
+function collectText(node) {
+  if (node.nodeType === 3) return node.textContent;
+  if (node.nodeType !== 1) return "";
+  if (node.tagName === "BR") return "\n";
+  const inner = Array.from(node.childNodes).map(collectText).join("");
+  return INLINE_TAGS.has(node.tagName) ? inner : `\n${inner}\n`;
+}
+
+function cellText(node) {
+  return collectText(node).replace(/\s+/g, " ").trim();
+}
+
+function readSpan(cell, name) {
+  const value = Number.parseInt(cell.getAttribute(name), 10);
+  return Number.isFinite(value) ? Math.min(MAX_SPAN, Math.max(1, value)) : 1;
+}
+
+// Expands rowspan/colspan so every row has one entry per visual column.
+// A spanned cell shares one entry object (same `id`) across its slots, so
+// callers can tell a repeated slot from a new value.
+function readGrid(table) {
+  const rows = Array.from(table.querySelectorAll("tr")).filter((tr) => tr.closest("table") === table);
+  const grid = rows.map(() => []);
+  let nextId = 0;
+
+  rows.forEach((tr, rowIndex) => {
+    let column = 0;
+    Array.from(tr.children)
+      .filter((cell) => cell.tagName === "TD" || cell.tagName === "TH")
+      .forEach((cell) => {
+        while (grid[rowIndex][column]) column += 1;
+        const rowspan = readSpan(cell, "rowspan");
+        const colspan = readSpan(cell, "colspan");
+        const entry = { id: nextId, text: cellText(cell), header: cell.tagName === "TH" };
+        nextId += 1;
+        for (let r = rowIndex; r < Math.min(grid.length, rowIndex + rowspan); r += 1) {
+          for (let c = column; c < column + colspan; c += 1) {
+            grid[r][c] = entry;
+          }
+        }
+        column += colspan;
+      });
+  });
+
+  const width = Math.max(0, ...grid.map((row) => row.length));
+  return grid.map((row) => Array.from({ length: width }, (_value, index) => row[index] || null));
+}
+
+// `title` is the caption or the element just before the table, where result
+// pages usually print the region and draw date.
+function readTables(root, selector = "table") {
+  const matches = Array.from(root.querySelectorAll(selector || "table"));
+  const tables = matches.flatMap((element) =>
+    element.tagName === "TABLE" ? [element] : Array.from(element.querySelectorAll("table"))
+  );
+  return Array.from(new Set(tables)).map((table) => ({
+    element: table,
+    title: [table.querySelector("caption"), table.previousElementSibling]
+      .map((node) => (node ? cellText(node) : ""))
+      .filter(Boolean)
+      .join(" "),
+    grid: readGrid(table)
+  }));
+}
+
+module.exports = {
+  loadDocument,
+  cellText,
+  readGrid,
+  readTables
+};
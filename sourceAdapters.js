@@ -0,0 +1,154 @@
+const fs = require("fs-extra");
+const path = require("path");
+const historyDb = require("./historyDb");
+const historyTransfer = require("./historyTransfer");
+
+const configPath =
+  process.env.KQXS_ADAPTERS_PATH ||
+  path.join(path.dirname(historyDb.dbPath), "source-adapters.json");
+const REGIONS = ["MN", "MT", "MB"];
+const PRIZE_KEYS = ["gdb", "g1", "g2", "g3", "g4", "g5", "g6", "g7", "g8"];
+const URL_PLACEHOLDERS = /\{(yyyy|mm|dd|date|dmy)\}/g;
+
+// The original crawler target: KQXS_URL with one class per prize.
+const DEFAULT_ADAPTERS = [
+  {
+    id: "default",
+    name: "Nguồn mặc định (KQXS_URL)",
+    enabled: true,
+    region: "MN",
+    urlPattern: process.env.KQXS_URL || "https://link-quay-thu.com",
+    jsRendered: true,
+    station: "",
+    stationSelector: "",
+    dateSelector: "",
+    tableSelector: "",
+    prizes: Object.fromEntries(
+      PRIZE_KEYS.map((key) => [key, { selector: `.giai-${key === "gdb" ? "db" : key.slice(1)}` }])
+    )
+  }
+];
+
+function cleanText(value) {
+  return String(value ?? "").trim();
+}
+
+// An adapter's `prizes` selectors may match one cell per station column,
+// in which case `stationSelector` matches the column headers in the same
+// left-to-right order. A `tableSelector` instead hands whole result tables
+// to the column-aware table parser, and the prize selectors become
+// optional. `jsRendered` adapters are crawled through Puppeteer rather than
+// plain HTTP.
+function normalizeAdapter(raw, index) {
+  const label = `Nguồn #${index + 1}`;
+  if (!raw || typeof raw !== "object") {
+    throw new Error(`${label}: cấu hình không hợp lệ`);
+  }
+
+  const id = cleanText(raw.id).toLowerCase();
+  if (!/^[a-z0-9-]+$/.test(id)) {
+    throw new Error(`${label}: id chỉ gồm chữ thường, số và dấu "-"`);
+  }
+  const urlPattern = cleanText(raw.urlPattern);
+  if (!/^https?:\/\//i.test(urlPattern)) {
+    throw new Error(`${label} (${id}): urlPattern phải bắt đầu bằng http:// hoặc https://`);
+  }
+  const region = cleanText(raw.region).toUpperCase();
+  if (!REGIONS.includes(region)) {
+    throw new Error(`${label} (${id}): miền phải là ${REGIONS.join(", ")}`);
+  }
+
+  const prizes = {};
+  Object.entries(raw.prizes && typeof raw.prizes === "object" ? raw.prizes : {}).forEach(
+    ([key, rule]) => {
+      const prizeKey = cleanText(key).toLowerCase();
+      if (!PRIZE_KEYS.includes(prizeKey)) {
+        throw new Error(`${label} (${id}): giải "${key}" không hợp lệ`);
+      }
+      const selector = cleanText(typeof rule === "string" ? rule : rule?.selector);
+      if (selector) prizes[prizeKey] = { selector };
+    }
+  );
+  const tableSelector = cleanText(raw.tableSelector);
+  if (!prizes.gdb && !tableSelector) {
+    throw new Error(`${label} (${id}): thiếu quy tắc lấy giải ĐB hoặc tableSelector`);
+  }
+
+  // The built-in source was always loaded in a browser; a saved copy from
+  // before `jsRendered` existed keeps that, other adapters default to HTTP.
+  const jsRendered =
+    typeof raw.jsRendered === "boolean" ? raw.jsRendered : id === DEFAULT_ADAPTERS[0].id;
+
+  return {
+    id,
+    name: cleanText(raw.name) || id,
+    enabled: raw.enabled !== false,
+    region,
+    urlPattern,
+    jsRendered,
+    station: cleanText(raw.station),
+    stationSelector: cleanText(raw.stationSelector),
+    dateSelector: cleanText(raw.dateSelector),
+    tableSelector,
+    prizes
+  };
+}
+
+function normalizeAdapters(list) {
+  if (!Array.isArray(list)) {
+    throw new Error("Cấu hình nguồn phải là một mảng JSON");
+  }
+  const adapters = list.map((item, index) => normalizeAdapter(item, index));
+  const seen = new Set();
+  adapters.forEach((adapter) => {
+    if (seen.has(adapter.id)) {
+      throw new Error(`Trùng id nguồn: ${adapter.id}`);
+    }
+    seen.add(adapter.id);
+  });
+  return adapters;
+}
+
+async function loadAdapters() {
+  if (!(await fs.pathExists(configPath))) {
+    return normalizeAdapters(DEFAULT_ADAPTERS);
+  }
+  return normalizeAdapters(await fs.readJson(configPath));
+}
+
+async function saveAdapters(list) {
+  const adapters = normalizeAdapters(list);
+  await historyTransfer.writeAtomically(configPath, (tempPath) =>
+    fs.writeJson(tempPath, adapters, { spaces: 2 })
+  );
+  return adapters;
+}
+
+async function resetAdapters() {
+  await fs.remove(configPath);
+  return loadAdapters();
+}
+
+function hasDatePlaceholder(adapter) {
+  return Boolean(adapter.urlPattern.match(URL_PLACEHOLDERS));
+}
+
+// Placeholders: {yyyy} {mm} {dd}, {date} (2026-02-25) and {dmy} (25-02-2026).
+function buildAdapterUrl(adapter, isoDate) {
+  const [yyyy, mm, dd] = String(isoDate || "").split("-");
+  const values = { yyyy, mm, dd, date: isoDate, dmy: `${dd}-${mm}-${yyyy}` };
+  if (hasDatePlaceholder(adapter) && !(yyyy && mm && dd)) {
+    throw new Error(`Nguồn ${adapter.id} cần ngày quay để dựng URL`);
+  }
+  return adapter.urlPattern.replace(URL_PLACEHOLDERS, (_match, name) => values[name]);
+}
+
+module.exports = {
+  configPath,
+  DEFAULT_ADAPTERS,
+  loadAdapters,
+  saveAdapters,
+  resetAdapters,
+  hasDatePlaceholder,
+  buildAdapterUrl
+};